@@ -2,11 +2,39 @@ require('dotenv').config();
 const { Telegraf, session } = require('telegraf');
 const fs = require('fs-extra');
 const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
 const schedule = require('node-schedule');
+const cronParser = require('cron-parser');
+const { DateTime, IANAZone } = require('luxon');
+const { createStorage } = require('./storage');
 
 // Load environment variables
 const BOT_TOKEN = process.env.BOT_TOKEN;
+// Bot owners from the environment (comma-separated user IDs). They are
+// always owners; more owners and editors can be granted with /grant.
 const ADMIN_ID = process.env.ADMIN_ID;
+const ADMIN_IDS = (ADMIN_ID || '').split(',').map(id => id.trim()).filter(Boolean);
+// Timezone used for chats that haven't picked one with /timezone
+const DEFAULT_TIMEZONE = process.env.TIMEZONE || DateTime.local().zoneName;
+// Webhook mode: with WEBHOOK_URL set (the bot's public base URL) Telegram
+// pushes updates to WEBHOOK_PATH on WEBHOOK_PORT instead of the bot polling
+const WEBHOOK_URL = process.env.WEBHOOK_URL;
+const WEBHOOK_PORT = parseInt(process.env.WEBHOOK_PORT) || 3000;
+const WEBHOOK_PATH = process.env.WEBHOOK_PATH || '/telegram';
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+// In polling mode the health endpoints are only served if HEALTH_PORT is set
+const HEALTH_PORT = parseInt(process.env.HEALTH_PORT);
+// Admin REST API: only started if API_KEY is set, and by default only
+// reachable from this machine
+const API_KEY = process.env.API_KEY;
+const API_PORT = parseInt(process.env.API_PORT) || 3001;
+const API_HOST = process.env.API_HOST || '127.0.0.1';
+// Base URL of the Bot API server. Set it to a self-hosted server
+// (telegram-bot-api) to upload files larger than the 50 MB Telegram allows.
+const TELEGRAM_API_ROOT = process.env.TELEGRAM_API_ROOT;
+// Deleted media stays in the trash for this many days before it's gone for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
 
 // Check if environment variables are set
 if (!BOT_TOKEN) {
@@ -19,671 +47,6063 @@ if (!ADMIN_ID) {
   process.exit(1);
 }
 
-// Initialize bot
-const bot = new Telegraf(BOT_TOKEN);
+// Telegram only accepts secret tokens of 1-256 letters, digits, _ and -
+if (WEBHOOK_SECRET && !/^[A-Za-z0-9_-]{1,256}$/.test(WEBHOOK_SECRET)) {
+  console.error('WEBHOOK_SECRET may only contain letters, digits, _ and - (at most 256 characters)');
+  process.exit(1);
+}
+
+// Initialize bot. API calls are never answered through the webhook response
+// (webhookReply), since that response is sent as soon as an update arrives.
+const bot = new Telegraf(BOT_TOKEN, {
+  telegram: Object.assign({ webhookReply: false }, TELEGRAM_API_ROOT ? { apiRoot: TELEGRAM_API_ROOT } : {})
+});
 
-// Create data directory if it doesn't exist
-const dataDir = path.join(__dirname, 'data');
+// Log errors of update handlers instead of letting one failing update stop
+// the bot (or the webhook server)
+bot.catch((error, ctx) => {
+  console.error('Error handling update ' + ctx.update.update_id + ':', error);
+});
+
+// Create data directory if it doesn't exist. DATA_DIR moves it elsewhere.
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, 'data');
 fs.ensureDirSync(dataDir);
 
-// File paths for storing data
-const videosFile = path.join(dataDir, 'videos.json');
-const imagesFile = path.join(dataDir, 'images.json');
-const schedulesFile = path.join(dataDir, 'schedules.json');
+// Folder of local media files (see /rescan), one subfolder per tag
+const localMediaDir = process.env.LOCAL_MEDIA_DIR ? path.resolve(__dirname, process.env.LOCAL_MEDIA_DIR) : path.join(dataDir, 'media');
+
+// Where the bot keeps its state: JSON files (the default) or a SQLite
+// database, picked with STORAGE in .env. See storage.js.
+const storage = createStorage({
+  type: process.env.STORAGE,
+  dataDir: dataDir,
+  sqliteFile: process.env.SQLITE_FILE && path.resolve(__dirname, process.env.SQLITE_FILE)
+});
+console.log('Using ' + storage.type + ' storage');
+
+// Media kinds the collection supports. Each kind has its own stored document
+// ('store') and Telegram send method. 'command' and 'commandPlural' name the admin commands
+// (/listvideos, /deletevideos, ...), 'albumType' is the sendMediaGroup type for
+// kinds that can be sent in albums, and 'caption' tells whether the kind
+// supports captions.
+const MEDIA_KINDS = {
+  video: { label: 'video', plural: 'videos', command: 'video', commandPlural: 'videos', store: 'videos', sendMethod: 'sendVideo', albumType: 'video', caption: true },
+  image: { label: 'image', plural: 'images', command: 'image', commandPlural: 'images', store: 'images', sendMethod: 'sendPhoto', albumType: 'photo', caption: true },
+  animation: { label: 'GIF', plural: 'GIFs', command: 'gif', commandPlural: 'gifs', store: 'animations', sendMethod: 'sendAnimation', albumType: null, caption: true },
+  document: { label: 'document', plural: 'documents', command: 'document', commandPlural: 'documents', store: 'documents', sendMethod: 'sendDocument', albumType: 'document', caption: true },
+  audio: { label: 'audio track', plural: 'audio tracks', command: 'audio', commandPlural: 'audios', store: 'audios', sendMethod: 'sendAudio', albumType: 'audio', caption: true },
+  voice: { label: 'voice note', plural: 'voice notes', command: 'voice', commandPlural: 'voices', store: 'voices', sendMethod: 'sendVoice', albumType: null, caption: true },
+  video_note: { label: 'video note', plural: 'video notes', command: 'videonote', commandPlural: 'videonotes', store: 'videonotes', sendMethod: 'sendVideoNote', albumType: null, caption: false },
+  sticker: { label: 'sticker', plural: 'stickers', command: 'sticker', commandPlural: 'stickers', store: 'stickers', sendMethod: 'sendSticker', albumType: null, caption: false }
+};
+
+// Delivery log: one JSON object per line, appended on every send attempt
+const deliveryLogFile = path.join(dataDir, 'deliveries.log');
+
+// Audit log: one JSON object per line for every change made by an admin
+const auditLogFile = path.join(dataDir, 'audit.log');
+
+// Load data (documents that don't exist yet start out empty): one media list per kind
+let mediaStores = {};
+for (const kind in MEDIA_KINDS) {
+  mediaStores[kind] = storage.read(MEDIA_KINDS[kind].store, []);
+}
+// Jobs and schedule data are keyed by chat ID, then by schedule name.
+let schedules = {}; // We'll store schedule data separately from job objects
+let scheduleData = storage.read('schedules', {});
+
+// Rotation state per chat and schedule: the media IDs already sent in the
+// current cycle (to avoid duplicates until all are sent)
+let rotationState = storage.read('rotation', {});
+
+// Per-chat settings such as the timezone
+let chatSettings = storage.read('chats', {});
 
-// Initialize data files if they don't exist
-if (!fs.existsSync(videosFile)) {
-  fs.writeJsonSync(videosFile, []);
+// Bot roles granted with /grant: owners manage everything, editors can add
+// and tag media but not delete it
+let roles = storage.read('roles', { owners: [], editors: [] });
+
+// One-off posts set with /postat, per chat and post ID, and their jobs
+let postData = storage.read('posts', {});
+let postJobs = {};
+
+// Source channels registered with /addsource, by chat ID: new media posted
+// there is added to the collection with the channel's tags
+let sourceChannels = storage.read('sources', {});
+
+// Files found in the local media folder. They are sent like the items of
+// their kind and uploaded on first use; the file ID Telegram returns is kept
+// so every later send reuses it.
+let localMedia = storage.read('local', []);
+
+// Deleted media items, latest deletion first, until /restore brings them
+// back or they are older than TRASH_RETENTION_DAYS
+let trash = storage.read('trash', []);
+
+// Media IDs that are taken, filled on the first call of generateMediaId. IDs
+// of deleted items stay in it, so no ID is ever given out twice.
+let takenMediaIds = null;
+
+// Days of posts per day kept for "in the last 7 days" of /stats, with one to spare
+const DELIVERY_STATS_DAYS = 8;
+
+// Running counts of the delivery log for /stats, /status and the health
+// endpoints, so they don't have to read the whole log (see countDelivery).
+// They are counted from the log once if they haven't been stored yet.
+let deliveryStats = storage.read('deliverystats', null);
+if (!deliveryStats) {
+  deliveryStats = { total: 0, posted: 0, lastPostAt: null, errors: {}, media: {}, chats: {} };
+  readDeliveryLog().forEach(countDelivery);
+  saveDeliveryStats();
 }
 
-if (!fs.existsSync(imagesFile)) {
-  fs.writeJsonSync(imagesFile, []);
+// Give media added before permanent IDs existed an ID of their own
+for (const kind in mediaStores) {
+  if (assignMissingMediaIds(mediaStores[kind])) {
+    saveMediaStore(kind);
+  }
 }
 
-if (!fs.existsSync(schedulesFile)) {
-  fs.writeJsonSync(schedulesFile, {});
+// Name given to a schedule when the user doesn't pick one
+const DEFAULT_SCHEDULE_NAME = 'main';
+
+// Chats saved before named schedules existed had a single schedule
+// stored directly under the chat ID, and its rotation as a plain list
+for (const chatId in scheduleData) {
+  if (scheduleData[chatId].mediaType) {
+    scheduleData[chatId] = { [DEFAULT_SCHEDULE_NAME]: scheduleData[chatId] };
+  }
 }
 
-// Load data
-let videos = fs.readJsonSync(videosFile);
-let images = fs.readJsonSync(imagesFile);
-let schedules = {}; // We'll store schedule data separately from job objects
-let scheduleData = fs.readJsonSync(schedulesFile);
+// Schedules saved before other media kinds existed picked videos, images or a mix
+const legacyMediaTypes = { videos: ['video'], images: ['image'], mix: ['video', 'image'] };
+for (const chatId in scheduleData) {
+  for (const name in scheduleData[chatId]) {
+    const savedSchedule = scheduleData[chatId][name];
+    if (!savedSchedule.mediaTypes) {
+      savedSchedule.mediaTypes = legacyMediaTypes[savedSchedule.mediaType] || ['video', 'image'];
+      delete savedSchedule.mediaType;
+    }
+  }
+}
 
-// Store for tracking sent media per chat (to avoid duplicates until all are sent)
-let sentMediaTracking = {};
+for (const chatId in rotationState) {
+  if (Array.isArray(rotationState[chatId])) {
+    rotationState[chatId] = { [DEFAULT_SCHEDULE_NAME]: rotationState[chatId] };
+  }
+}
 
 // Recreate scheduled jobs from saved data
 for (const chatId in scheduleData) {
-  createScheduledJob(chatId, scheduleData[chatId].interval, scheduleData[chatId].mediaType);
+  for (const name in scheduleData[chatId]) {
+    const savedSchedule = scheduleData[chatId][name];
+    // Schedules saved before timing rules existed only have an interval in minutes
+    const timing = savedSchedule.timing || { type: 'interval', minutes: savedSchedule.interval };
+    delete savedSchedule.interval;
+    createScheduledJob(chatId, name, timing, savedSchedule.mediaTypes);
+  }
 }
 
-// Helper function to save videos
-function saveVideos() {
-  fs.writeJsonSync(videosFile, videos);
+// Recreate the jobs of one-off posts. Posts that were due while the bot was
+// offline are sent right away.
+for (const chatId in postData) {
+  for (const postId in postData[chatId]) {
+    armPostJob(chatId, postId);
+  }
 }
 
-// Helper function to save images
-function saveImages() {
-  fs.writeJsonSync(imagesFile, images);
+// Helper function to save the media list of one kind
+function saveMediaStore(kind) {
+  storage.write(MEDIA_KINDS[kind].store, mediaStores[kind]);
 }
 
-// Helper function to save schedule data (without job objects)
-function saveScheduleData() {
-  fs.writeJsonSync(schedulesFile, scheduleData);
+// Get the media of all kinds as one list
+function getAllMedia() {
+  return Object.values(mediaStores).flat();
 }
 
-// Function to get next unsent media item
-function getNextUnsentMedia(chatId, mediaList) {
-  // Initialize tracking for this chat if it doesn't exist
-  if (!sentMediaTracking[chatId]) {
-    sentMediaTracking[chatId] = new Set();
-  }
-  
-  // Filter out already sent media
-  const unsentMedia = mediaList.filter((media, index) => !sentMediaTracking[chatId].has(index));
-  
-  // If all media has been sent, reset tracking and use all media
-  if (unsentMedia.length === 0) {
-    sentMediaTracking[chatId].clear();
-    // Return a random item from the full list
-    return mediaList[Math.floor(Math.random() * mediaList.length)];
-  }
-  
-  // Return a random item from unsent media
-  const selectedMedia = unsentMedia[Math.floor(Math.random() * unsentMedia.length)];
-  
-  // Mark this media as sent
-  const index = mediaList.indexOf(selectedMedia);
-  sentMediaTracking[chatId].add(index);
-  
-  return selectedMedia;
+// Capitalize the first letter of a text, e.g. for media kind labels
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
 }
 
-// Function to create a scheduled job
-function createScheduledJob(chatId, interval, mediaType) {
-  // Cancel existing job if it exists
-  if (schedules[chatId]) {
-    schedules[chatId].cancel();
-  }
-  
-  // Create new job - run every 'interval' minutes
-  const job = schedule.scheduleJob({ minute: new schedule.Range(0, 59, interval) }, () => {
-    console.log('Sending media to chat ' + chatId + ' at ' + new Date().toISOString());
-    
-    let mediaToSend = [];
-    
-    // Select media based on user preference
-    switch(mediaType) {
-      case 'videos':
-        mediaToSend = videos;
-        break;
-      case 'images':
-        mediaToSend = images;
-        break;
-      case 'mix':
-        mediaToSend = [...videos, ...images];
-        break;
-    }
-    
-    // Send a random media item (avoiding duplicates until all are sent)
-    if (mediaToSend.length > 0) {
-      const randomMedia = getNextUnsentMedia(chatId, mediaToSend);
-      console.log('Sending ' + randomMedia.type + ' with ID: ' + randomMedia.id);
-      
-      if (randomMedia.type === 'video') {
-        bot.telegram.sendVideo(chatId, randomMedia.id, {
-          caption: randomMedia.caption
-        }).catch((error) => {
-          console.error('Error sending video to chat ' + chatId + ':', error);
-        });
-      } else if (randomMedia.type === 'image') {
-        bot.telegram.sendPhoto(chatId, randomMedia.id, {
-          caption: randomMedia.caption
-        }).catch((error) => {
-          console.error('Error sending image to chat ' + chatId + ':', error);
-        });
-      }
-    } else {
-      console.log('No media to send for chat ' + chatId);
+// Find a media kind by its name or command name (e.g. "video", "gifs", "videonote")
+function findMediaKind(text) {
+  const name = (text || '').trim().toLowerCase();
+  return Object.keys(MEDIA_KINDS).find(kind =>
+    kind === name || MEDIA_KINDS[kind].command === name || MEDIA_KINDS[kind].commandPlural === name
+  ) || null;
+}
+
+// Pattern for a hashtag, optionally prefixed with - to exclude it in filters
+const HASHTAG_PATTERN = /(^|\s)(-?)#([\p{L}\p{N}_]+)/gu;
+
+// Get the hashtags in a text as lowercase tags, e.g. "#Funny #cats" -> ['funny', 'cats']
+function extractHashtags(text) {
+  const tags = [];
+  for (const match of (text || '').matchAll(HASHTAG_PATTERN)) {
+    if (!match[2]) {
+      tags.push(match[3].toLowerCase());
     }
-  });
-  
-  // Store job object and schedule data separately
-  schedules[chatId] = job;
-  scheduleData[chatId] = { 
-    interval: interval, 
-    mediaType: mediaType,
-    createdAt: new Date().toISOString() 
-  };
-  saveScheduleData();
-  
-  console.log('Scheduled job for chat ' + chatId + ' every ' + interval + ' minutes for ' + mediaType);
+  }
+  return [...new Set(tags)];
 }
 
-// Middleware to check if user is admin
-bot.use((ctx, next) => {
-  ctx.isAdmin = ctx.from && ctx.from.id.toString() === ADMIN_ID;
-  return next();
-});
+// Remove the hashtags from a text, e.g. a caption the tags were taken from
+function stripHashtags(text) {
+  return (text || '').replace(HASHTAG_PATTERN, '$1').replace(/[ \t]{2,}/g, ' ').trim();
+}
 
-// Enable session middleware
-bot.use(session());
+// Get the tags of a media item (media added before tags existed has none)
+function getMediaTags(media) {
+  return media.tags || [];
+}
 
-// Start command
-bot.start((ctx) => {
-  if (ctx.isAdmin) {
-    ctx.reply('Hello admin! You can use /addvideo or /addimage to add media that will be sent to groups.');
-  } else {
-    ctx.reply('Hello! Add me to a group and use /schedule to set up automatic media sending.');
+// Parse a tag filter like "#funny #cats -#nsfw" into the tags to include and
+// exclude. 'rest' is the text left over once the tags are removed.
+function parseTagFilter(text) {
+  const include = [];
+  const exclude = [];
+  for (const match of (text || '').matchAll(HASHTAG_PATTERN)) {
+    (match[2] ? exclude : include).push(match[3].toLowerCase());
   }
-});
+  return {
+    include: [...new Set(include)],
+    exclude: [...new Set(exclude)],
+    rest: (text || '').replace(HASHTAG_PATTERN, '$1').trim()
+  };
+}
 
-// Admin command to add video
-bot.command('addvideo', (ctx) => {
-  if (!ctx.isAdmin) {
-    return ctx.reply('You are not authorized to use this command.');
+// Check whether a media item passes a tag filter: it needs at least one of
+// the included tags (if any are given) and none of the excluded ones
+function matchesTagFilter(media, tagFilter) {
+  if (!tagFilter) {
+    return true;
   }
 
-  ctx.reply('Please send the video you want to add to the bot.');
-});
-
-// Admin command to add image
-bot.command('addimage', (ctx) => {
-  if (!ctx.isAdmin) {
-    return ctx.reply('You are not authorized to use this command.');
+  const tags = getMediaTags(media);
+  if (tagFilter.include.length > 0 && !tagFilter.include.some(tag => tags.includes(tag))) {
+    return false;
   }
+  return !tagFilter.exclude.some(tag => tags.includes(tag));
+}
 
-  ctx.reply('Please send the image you want to add to the bot.');
-});
-
-// Handle video messages from admin
-bot.on('video', (ctx) => {
-  if (!ctx.isAdmin) {
-    return ctx.reply('Only admin can add videos.');
+// Describe a tag filter, e.g. "tagged #funny #cats, without #nsfw"
+function describeTagFilter(tagFilter) {
+  const parts = [];
+  if (tagFilter.include.length > 0) {
+    parts.push('tagged ' + tagFilter.include.map(tag => '#' + tag).join(' '));
+  }
+  if (tagFilter.exclude.length > 0) {
+    parts.push('without ' + tagFilter.exclude.map(tag => '#' + tag).join(' '));
   }
+  return parts.join(', ');
+}
 
-  const videoId = ctx.message.video.file_id;
-  const caption = ctx.message.caption || '';
+// Metadata fields Telegram sends with files, and the names they are stored
+// under in a media item's 'meta'
+const FILE_METADATA_FIELDS = {
+  duration: 'duration',
+  width: 'width',
+  height: 'height',
+  file_size: 'fileSize',
+  mime_type: 'mimeType',
+  file_name: 'fileName'
+};
 
-  // Check if video already exists
-  const existingVideoIndex = videos.findIndex(video => video.id === videoId);
-  
-  if (existingVideoIndex !== -1) {
-    // Video already exists
-    const existingVideo = videos[existingVideoIndex];
-    const addedDate = new Date(existingVideo.addedAt).toLocaleString();
-    return ctx.reply(`This video already exists in the collection!\nIt was added on: ${addedDate}\nUse /listvideos to see all videos.`);
+// Media kinds that have a duration, and kinds that have a width and height
+const TIMED_KINDS = ['video', 'animation', 'audio', 'voice', 'video_note'];
+const SIZED_KINDS = ['video', 'image', 'animation', 'video_note', 'sticker'];
+
+// Get the metadata of a Telegram file. Only the fields Telegram sent are kept.
+function getFileMetadata(file) {
+  const meta = {};
+  for (const field in FILE_METADATA_FIELDS) {
+    if (file[field] !== undefined) {
+      meta[FILE_METADATA_FIELDS[field]] = file[field];
+    }
+  }
+  // Video notes are square and only have a diameter
+  if (file.length !== undefined && meta.width === undefined) {
+    meta.width = file.length;
+    meta.height = file.length;
   }
+  return meta;
+}
 
-  // Add video to our collection
-  videos.push({
-    id: videoId,
-    type: 'video',
-    caption: caption,
-    addedAt: new Date().toISOString()
-  });
+// Parse a duration in seconds like 45, 45s, 2m, 1m30s or 1h, or return null
+function parseSeconds(text) {
+  if (/^\d+$/.test(text)) {
+    return parseInt(text);
+  }
+  const match = /^(?:(\d+)h)?(?:(\d+)m(?:in)?)?(?:(\d+)s)?$/.exec(text);
+  if (!match || !(match[1] || match[2] || match[3])) {
+    return null;
+  }
+  return (parseInt(match[1]) || 0) * 3600 + (parseInt(match[2]) || 0) * 60 + (parseInt(match[3]) || 0);
+}
 
-  saveVideos();
+// Format seconds as a short duration, e.g. 90 -> 1m30s
+function formatSeconds(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor(seconds % 3600 / 60);
+  const rest = seconds % 60;
+  return (hours ? hours + 'h' : '') + (minutes ? minutes + 'm' : '') + (rest || seconds === 0 ? rest + 's' : '');
+}
 
-  ctx.reply('Video added successfully! Now you can use /listvideos to see all videos.');
-});
+// Units of file sizes in metadata filters
+const SIZE_UNITS = { kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
 
-// Handle photo messages from admin
-bot.on('photo', (ctx) => {
-  if (!ctx.isAdmin) {
-    return ctx.reply('Only admin can add images.');
+// Format a file size in bytes, e.g. 1536000 -> 1.5 MB
+function formatFileSize(bytes) {
+  if (bytes >= SIZE_UNITS.mb) {
+    return (bytes / SIZE_UNITS.mb).toFixed(1).replace(/\.0$/, '') + ' MB';
   }
+  return Math.max(1, Math.round(bytes / SIZE_UNITS.kb)) + ' KB';
+}
 
-  // Get the highest quality photo
-  const photos = ctx.message.photo;
-  const photoId = photos[photos.length - 1].file_id;
-  const caption = ctx.message.caption || '';
+// Parse a metadata filter like "under 60s", "over 10s under 2m landscape"
+// or "under 20mb". Returns null if a word isn't understood.
+function parseMediaFilter(text) {
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  const filter = {};
 
-  // Check if image already exists
-  const existingImageIndex = images.findIndex(image => image.id === photoId);
-  
-  if (existingImageIndex !== -1) {
-    // Image already exists
-    const existingImage = images[existingImageIndex];
-    const addedDate = new Date(existingImage.addedAt).toLocaleString();
-    return ctx.reply(`This image already exists in the collection!\nIt was added on: ${addedDate}\nUse /listimages to see all images.`);
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if ((word === 'under' || word === 'over') && i + 1 < words.length) {
+      const value = words[++i];
+      const sizeMatch = /^(\d+(?:\.\d+)?)(kb|mb|gb)$/.exec(value);
+      if (sizeMatch) {
+        filter[word === 'under' ? 'maxSize' : 'minSize'] = Math.round(parseFloat(sizeMatch[1]) * SIZE_UNITS[sizeMatch[2]]);
+        continue;
+      }
+      const seconds = parseSeconds(value);
+      if (seconds === null) {
+        return null;
+      }
+      filter[word === 'under' ? 'maxDuration' : 'minDuration'] = seconds;
+    } else if (['portrait', 'landscape', 'square'].includes(word)) {
+      filter.orientation = word;
+    } else {
+      return null;
+    }
   }
 
-  // Add image to our collection
-  images.push({
-    id: photoId,
-    type: 'image',
-    caption: caption,
-    addedAt: new Date().toISOString()
-  });
+  return Object.keys(filter).length > 0 ? filter : null;
+}
 
-  saveImages();
+// Get the orientation of a media item from its width and height
+function getMediaOrientation(meta) {
+  if (meta.width === meta.height) {
+    return 'square';
+  }
+  return meta.width > meta.height ? 'landscape' : 'portrait';
+}
 
-  ctx.reply('Image added successfully! Now you can use /listimages to see all images.');
-});
+// Check whether a media item matches a schedule's metadata filter. Duration
+// and orientation only apply to kinds that have them; items of those kinds
+// without the metadata (added before it was stored) don't match.
+function matchesMediaFilter(media, filter) {
+  if (!filter) {
+    return true;
+  }
+  const meta = media.meta || {};
 
-// Admin command to list videos
-bot.command('listvideos', (ctx) => {
-  if (!ctx.isAdmin) {
-    return ctx.reply('You are not authorized to use this command.');
+  if ((filter.maxDuration !== undefined || filter.minDuration !== undefined) && TIMED_KINDS.includes(media.type)) {
+    if (meta.duration === undefined ||
+        (filter.maxDuration !== undefined && meta.duration >= filter.maxDuration) ||
+        (filter.minDuration !== undefined && meta.duration <= filter.minDuration)) {
+      return false;
+    }
   }
+  if (filter.orientation && SIZED_KINDS.includes(media.type)) {
+    if (meta.width === undefined || getMediaOrientation(meta) !== filter.orientation) {
+      return false;
+    }
+  }
+  if (filter.maxSize !== undefined || filter.minSize !== undefined) {
+    if (meta.fileSize === undefined ||
+        (filter.maxSize !== undefined && meta.fileSize >= filter.maxSize) ||
+        (filter.minSize !== undefined && meta.fileSize <= filter.minSize)) {
+      return false;
+    }
+  }
+  return true;
+}
 
-  if (videos.length === 0) {
-    return ctx.reply('No videos added yet.');
+// Describe a metadata filter, e.g. "under 1m, landscape"
+function describeMediaFilter(filter) {
+  const parts = [];
+  if (filter.minDuration !== undefined) {
+    parts.push('over ' + formatSeconds(filter.minDuration));
+  }
+  if (filter.maxDuration !== undefined) {
+    parts.push('under ' + formatSeconds(filter.maxDuration));
+  }
+  if (filter.minSize !== undefined) {
+    parts.push('over ' + formatFileSize(filter.minSize));
+  }
+  if (filter.maxSize !== undefined) {
+    parts.push('under ' + formatFileSize(filter.maxSize));
   }
+  if (filter.orientation) {
+    parts.push(filter.orientation);
+  }
+  return parts.join(', ');
+}
 
-  let message = 'Videos:\n\n';
-  videos.forEach((video, index) => {
-    message += (index + 1) + '. Added at: ' + new Date(video.addedAt).toLocaleString() + '\n';
-    if (video.caption) {
-      message += '   Caption: ' + video.caption + '\n';
-    }
-    // Add delete button for each video
-    message += '   Delete: /deletevideo_' + index + '\n';
-    message += '\n';
-  });
+// Helper function to save schedule data (without job objects)
+function saveScheduleData() {
+  storage.write('schedules', scheduleData);
+}
 
-  message += '\nTo delete multiple videos, use: /deletevideos start-end (e.g., /deletevideos 1-3)\n';
-  message += 'To delete specific videos, use: /deletevideos index1,index2,index3 (e.g., /deletevideos 1,3,5)\n';
+// Helper function to save rotation state
+function saveRotationState() {
+  storage.write('rotation', rotationState);
+}
 
-  ctx.reply(message);
-});
+// Helper function to save chat settings
+function saveChatSettings() {
+  storage.write('chats', chatSettings);
+}
 
-// Admin command to list images
-bot.command('listimages', (ctx) => {
-  if (!ctx.isAdmin) {
-    return ctx.reply('You are not authorized to use this command.');
-  }
+// Helper function to save bot roles
+function saveRoles() {
+  storage.write('roles', roles);
+}
 
-  if (images.length === 0) {
-    return ctx.reply('No images added yet.');
-  }
+// Helper function to save one-off posts
+function savePostData() {
+  storage.write('posts', postData);
+}
 
-  let message = 'Images:\n\n';
-  images.forEach((image, index) => {
-    message += (index + 1) + '. Added at: ' + new Date(image.addedAt).toLocaleString() + '\n';
-    if (image.caption) {
-      message += '   Caption: ' + image.caption + '\n';
-    }
-    // Add delete button for each image
-    message += '   Delete: /deleteimage_' + index + '\n';
-    message += '\n';
-  });
+// Helper function to save source channels
+function saveSourceChannels() {
+  storage.write('sources', sourceChannels);
+}
 
-  message += '\nTo delete multiple images, use: /deleteimages start-end (e.g., /deleteimages 1-3)\n';
-  message += 'To delete specific images, use: /deleteimages index1,index2,index3 (e.g., /deleteimages 1,3,5)\n';
+// Helper function to save the local media files
+function saveLocalMedia() {
+  storage.write('local', localMedia);
+}
 
-  ctx.reply(message);
-});
+// Helper function to save the trash
+function saveTrash() {
+  storage.write('trash', trash);
+}
 
-// Admin command to delete a video by index
-bot.command('deletevideo', (ctx) => {
-  if (!ctx.isAdmin) {
-    return ctx.reply('You are not authorized to use this command.');
-  }
+// Helper function to save the delivery counts
+function saveDeliveryStats() {
+  storage.write('deliverystats', deliveryStats);
+}
 
-  // Extract index from command
-  const parts = ctx.message.text.split('_');
-  if (parts.length !== 2 || isNaN(parts[1])) {
-    return ctx.reply('Invalid command. Use the delete links provided in /listvideos');
+// Add a delivery log entry to the running counts: attempts and posts per
+// chat, posts per day (for the last DELIVERY_STATS_DAYS days) and per
+// schedule, errors, and posts per media ID
+function countDelivery(entry) {
+  const chat = deliveryStats.chats[entry.chatId] = deliveryStats.chats[entry.chatId] || { total: 0, posted: 0, lastPostAt: null, days: {}, schedules: {} };
+  deliveryStats.total++;
+  chat.total++;
+
+  if (!entry.ok) {
+    const key = (entry.errorCode ? entry.errorCode + ' ' : '') + entry.error;
+    deliveryStats.errors[key] = (deliveryStats.errors[key] || 0) + 1;
+    return;
   }
 
-  const index = parseInt(parts[1]);
-  
-  if (index < 0 || index >= videos.length) {
-    return ctx.reply('Invalid video index. Please use /listvideos to see valid indices.');
+  deliveryStats.posted++;
+  deliveryStats.lastPostAt = entry.at;
+  deliveryStats.media[entry.mediaId] = (deliveryStats.media[entry.mediaId] || 0) + 1;
+  chat.posted++;
+  chat.lastPostAt = entry.at;
+
+  const day = entry.at.substring(0, 10);
+  chat.days[day] = (chat.days[day] || 0) + 1;
+  const oldestDay = new Date(Date.now() - DELIVERY_STATS_DAYS * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+  for (const countedDay in chat.days) {
+    if (countedDay < oldestDay) {
+      delete chat.days[countedDay];
+    }
   }
 
-  // Remove video
-  const deletedVideo = videos.splice(index, 1)[0];
-  saveVideos();
+  const scheduleStats = chat.schedules[entry.schedule] = chat.schedules[entry.schedule] || { posted: 0, lastPostAt: null };
+  scheduleStats.posted++;
+  scheduleStats.lastPostAt = entry.at;
+}
 
-  ctx.reply('Video deleted successfully!');
-});
+// Record a send attempt in the delivery log. 'error' is the Telegram (or
+// network) error if the attempt failed.
+function logDelivery(chatId, scheduleName, media, error) {
+  const entry = {
+    at: new Date().toISOString(),
+    chatId: String(chatId),
+    schedule: scheduleName,
+    mediaId: media.mediaId,
+    type: media.type,
+    ok: !error
+  };
+  if (error) {
+    entry.errorCode = (error.response && error.response.error_code) || error.code || null;
+    entry.error = (error.response && error.response.description) || error.message;
+  }
 
-// Admin command to delete an image by index
-bot.command('deleteimage', (ctx) => {
-  if (!ctx.isAdmin) {
-    return ctx.reply('You are not authorized to use this command.');
+  try {
+    fs.appendFileSync(deliveryLogFile, JSON.stringify(entry) + '\n');
+  } catch (logError) {
+    console.error('Error writing delivery log:', logError);
   }
+  countDelivery(entry);
+  saveDeliveryStats();
+}
 
-  // Extract index from command
-  const parts = ctx.message.text.split('_');
-  if (parts.length !== 2 || isNaN(parts[1])) {
-    return ctx.reply('Invalid command. Use the delete links provided in /listimages');
+// Read all entries of the delivery log
+function readDeliveryLog() {
+  return readLogFile(deliveryLogFile);
+}
+
+// Name a user in the audit log and the trash, e.g. "@alice" or "Bob (12345)".
+// 'ctx' is the update the change came from, or a message (both have the user
+// in 'from'). Changes without a user come from the admin API.
+function getAuditUser(ctx) {
+  if (!ctx || !ctx.from) {
+    return 'API';
   }
+  return ctx.from.username ? '@' + ctx.from.username : (ctx.from.first_name || 'user') + ' (' + ctx.from.id + ')';
+}
 
-  const index = parseInt(parts[1]);
-  
-  if (index < 0 || index >= images.length) {
-    return ctx.reply('Invalid image index. Please use /listimages to see valid indices.');
+// Record a change in the audit log: who made it (see getAuditUser), the chat
+// it applies to, if any, and what it was, e.g. "paused schedule \"main\""
+function logAudit(ctx, chatId, action) {
+  const entry = {
+    at: new Date().toISOString(),
+    userId: ctx && ctx.from ? String(ctx.from.id) : null,
+    user: getAuditUser(ctx),
+    chatId: chatId ? String(chatId) : null,
+    action: action
+  };
+
+  try {
+    fs.appendFileSync(auditLogFile, JSON.stringify(entry) + '\n');
+  } catch (logError) {
+    console.error('Error writing audit log:', logError);
   }
+}
 
-  // Remove image
-  const deletedImage = images.splice(index, 1)[0];
-  saveImages();
+// Read one page of the audit log, latest change first: 'count' of the
+// entries that pass 'filter', after skipping the first 'skip' of them. Only
+// the end of the log up to that page is read. 'hasMore' tells whether there
+// are older entries.
+function readAuditLogPage(filter, skip, count) {
+  const entries = [];
+  let matched = 0;
+  let hasMore = false;
+  readLogFileBackwards(auditLogFile, (entry) => {
+    if (!filter(entry) || matched++ < skip) {
+      return true;
+    }
+    if (entries.length === count) {
+      hasMore = true;
+      return false;
+    }
+    entries.push(entry);
+    return true;
+  });
+  return { entries: entries, hasMore: hasMore };
+}
 
-  ctx.reply('Image deleted successfully!');
-});
+// Size of the pieces readLogFileBackwards reads a log in
+const LOG_CHUNK_SIZE = 64 * 1024;
 
-// Admin command to delete multiple videos
-bot.command('deletevideos', (ctx) => {
-  if (!ctx.isAdmin) {
-    return ctx.reply('You are not authorized to use this command.');
+// Go through the entries of a log with one JSON object per line from the
+// newest to the oldest, reading the file from its end in pieces, until
+// 'visit' returns false. Lines that can't be parsed are skipped.
+function readLogFileBackwards(file, visit) {
+  if (!fs.existsSync(file)) {
+    return;
   }
 
-  if (videos.length === 0) {
-    return ctx.reply('No videos to delete.');
-  }
+  // Lines are split on newline bytes, which never occur inside a multi-byte
+  // character, so a piece can start in the middle of a character
+  const visitLine = (line) => {
+    if (line.length === 0) {
+      return true;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(line.toString('utf8'));
+    } catch (error) {
+      return true;
+    }
+    return visit(entry) !== false;
+  };
 
-  const text = ctx.message.text.substring('/deletevideos '.length).trim();
-  
-  if (!text) {
-    return ctx.reply('Please specify videos to delete. Examples:\n/deletevideos 1-3 (deletes videos 1 to 3)\n/deletevideos 1,3,5 (deletes videos 1, 3, and 5)');
-  }
+  const fd = fs.openSync(file, 'r');
+  try {
+    let position = fs.fstatSync(fd).size;
+    // The start of the piece read last, up to its first newline: the end of
+    // a line that began in an earlier part of the file
+    let rest = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(LOG_CHUNK_SIZE, position);
+      position -= length;
+      const piece = Buffer.alloc(length);
+      fs.readSync(fd, piece, 0, length, position);
+      const data = Buffer.concat([piece, rest]);
 
-  let indicesToDelete = [];
-  
-  // Check if it's a range (e.g., 1-3)
-  if (text.includes('-')) {
-    const range = text.split('-');
-    if (range.length === 2 && !isNaN(range[0]) && !isNaN(range[1])) {
-      const start = parseInt(range[0]) - 1; // Convert to 0-based index
-      const end = parseInt(range[1]) - 1;   // Convert to 0-based index
-      
-      if (start >= 0 && end < videos.length && start <= end) {
-        for (let i = start; i <= end; i++) {
-          indicesToDelete.push(i);
+      let end = data.length;
+      let newline;
+      while ((newline = data.lastIndexOf(0x0a, end - 1)) !== -1) {
+        if (!visitLine(data.subarray(newline + 1, end))) {
+          return;
+        }
+        end = newline;
+        if (end === 0) {
+          break;
         }
-      } else {
-        return ctx.reply('Invalid range. Please check the indices and try again.');
-      }
-    } else {
-      return ctx.reply('Invalid range format. Use: /deletevideos start-end (e.g., /deletevideos 1-3)');
-    }
-  } 
-  // Check if it's a list of indices (e.g., 1,3,5)
-  else if (text.includes(',')) {
-    const indices = text.split(',');
-    for (const index of indices) {
-      const idx = parseInt(index.trim()) - 1; // Convert to 0-based index
-      if (idx >= 0 && idx < videos.length) {
-        indicesToDelete.push(idx);
       }
+      rest = data.subarray(0, end);
     }
-    
-    if (indicesToDelete.length !== indices.length) {
-      return ctx.reply('One or more indices are invalid. Please check and try again.');
+    visitLine(rest);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Read all entries of a log with one JSON object per line, skipping lines
+// that can't be parsed (e.g. one cut off by a crash)
+function readLogFile(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line) {
+      continue;
     }
-  } 
-  // Check if it's a single index
-  else if (!isNaN(text)) {
-    const index = parseInt(text) - 1; // Convert to 0-based index
-    if (index >= 0 && index < videos.length) {
-      indicesToDelete.push(index);
-    } else {
-      return ctx.reply('Invalid index. Please check and try again.');
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // Ignore the damaged line
     }
-  } else {
-    return ctx.reply('Invalid format. Examples:\n/deletevideos 1-3 (deletes videos 1 to 3)\n/deletevideos 1,3,5 (deletes videos 1, 3, and 5)');
   }
+  return entries;
+}
 
-  // Sort indices in descending order to avoid index shifting issues when deleting
-  indicesToDelete.sort((a, b) => b - a);
-  
-  // Delete videos
-  const deletedVideos = [];
-  for (const index of indicesToDelete) {
-    const deletedVideo = videos.splice(index, 1)[0];
-    deletedVideos.push(deletedVideo);
+// Get the bot role of a user: 'owner', 'editor' or null
+function getUserRole(userId) {
+  const id = String(userId);
+  if (ADMIN_IDS.includes(id) || roles.owners.includes(id)) {
+    return 'owner';
   }
-  
-  saveVideos();
-  
-  ctx.reply('Successfully deleted ' + deletedVideos.length + ' video(s)!');
-});
+  if (roles.editors.includes(id)) {
+    return 'editor';
+  }
+  return null;
+}
 
-// Admin command to delete multiple images
-bot.command('deleteimages', (ctx) => {
-  if (!ctx.isAdmin) {
-    return ctx.reply('You are not authorized to use this command.');
+// Get the timezone a chat's schedules run in
+function getChatTimezone(chatId) {
+  return (chatSettings[chatId] && chatSettings[chatId].timezone) || DEFAULT_TIMEZONE;
+}
+
+// Generate a permanent media ID that is not used by any media item yet,
+// including local files and items in the trash
+function generateMediaId() {
+  if (!takenMediaIds) {
+    takenMediaIds = new Set([...getAllMedia(), ...localMedia, ...trash.map(entry => entry.media)].map(media => media.mediaId).filter(Boolean));
   }
+  let mediaId;
+  do {
+    mediaId = crypto.randomBytes(4).toString('hex');
+  } while (takenMediaIds.has(mediaId));
+  takenMediaIds.add(mediaId);
+  return mediaId;
+}
 
-  if (images.length === 0) {
-    return ctx.reply('No images to delete.');
+// Mark media IDs that didn't come from generateMediaId (e.g. the ones kept
+// from an imported archive) as taken
+function reserveMediaIds(mediaIds) {
+  if (takenMediaIds) {
+    mediaIds.forEach(mediaId => takenMediaIds.add(mediaId));
   }
+}
 
-  const text = ctx.message.text.substring('/deleteimages '.length).trim();
-  
-  if (!text) {
-    return ctx.reply('Please specify images to delete. Examples:\n/deleteimages 1-3 (deletes images 1 to 3)\n/deleteimages 1,3,5 (deletes images 1, 3, and 5)');
+// Assign permanent IDs to media items that don't have one yet.
+// Returns true if any item was changed.
+function assignMissingMediaIds(mediaList) {
+  let changed = false;
+  for (const media of mediaList) {
+    if (!media.mediaId) {
+      media.mediaId = generateMediaId();
+      changed = true;
+    }
   }
+  return changed;
+}
 
-  let indicesToDelete = [];
-  
-  // Check if it's a range (e.g., 1-3)
-  if (text.includes('-')) {
-    const range = text.split('-');
-    if (range.length === 2 && !isNaN(range[0]) && !isNaN(range[1])) {
-      const start = parseInt(range[0]) - 1; // Convert to 0-based index
-      const end = parseInt(range[1]) - 1;   // Convert to 0-based index
-      
-      if (start >= 0 && end < images.length && start <= end) {
-        for (let i = start; i <= end; i++) {
-          indicesToDelete.push(i);
+// Orders a schedule can send its media in, set with /order
+const ORDER_STRATEGIES = {
+  random: 'random, no repeats until everything was sent',
+  sequential: 'in upload order',
+  newest: 'newest uploads first',
+  fresh: 'new uploads first, then random',
+  weighted: 'weighted random, items can repeat'
+};
+
+// Weight of a media item for weighted order: its own weight if an admin set
+// one, otherwise the highest weight the schedule gives one of its tags, or 1
+function getMediaWeight(media, tagWeights) {
+  if (typeof media.weight === 'number') {
+    return media.weight;
+  }
+  const weights = getMediaTags(media)
+    .filter(tag => tagWeights && tagWeights[tag] !== undefined)
+    .map(tag => tagWeights[tag]);
+  return weights.length > 0 ? Math.max(...weights) : 1;
+}
+
+// Time an item was added, for the orders that go by upload time. Items from
+// before addedAt was stored count as the oldest.
+function getAddedTime(media) {
+  return media.addedAt ? new Date(media.addedAt).getTime() : 0;
+}
+
+// Pick the next item among the media not sent in the current cycle, in the
+// schedule's order. Ties keep the order of the list.
+function pickUnsentMedia(data, unsentMedia) {
+  const oldest = (list) => list.reduce((first, media) => getAddedTime(media) < getAddedTime(first) ? media : first);
+
+  switch (data.order) {
+    case 'sequential':
+      return oldest(unsentMedia);
+    case 'newest':
+      return unsentMedia.reduce((latest, media) => getAddedTime(media) > getAddedTime(latest) ? media : latest);
+    case 'fresh': {
+      // Items added since the cycle started go first, in upload order
+      const cycleStart = new Date(data.cycleStartedAt || data.createdAt || 0).getTime();
+      const fresh = unsentMedia.filter(media => getAddedTime(media) > cycleStart);
+      if (fresh.length > 0) {
+        return oldest(fresh);
+      }
+      break;
+    }
+  }
+  return unsentMedia[Math.floor(Math.random() * unsentMedia.length)];
+}
+
+// Pick a media item for a schedule with weighted order. There are no cycles:
+// every pick is drawn from all items, so heavier items come up more often.
+// Only the last pick is remembered, so the same item isn't sent twice in a row.
+function pickWeightedMedia(chatId, name, mediaList, excludeIds) {
+  const data = scheduleData[chatId][name];
+  const lastId = (rotationState[chatId][name] || []).slice(-1)[0];
+
+  let candidates = mediaList.filter(media => !excludeIds.has(media.mediaId) && getMediaWeight(media, data.tagWeights) > 0);
+  if (candidates.length > 1) {
+    candidates = candidates.filter(media => media.mediaId !== lastId);
+  }
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const totalWeight = candidates.reduce((sum, media) => sum + getMediaWeight(media, data.tagWeights), 0);
+  let remaining = Math.random() * totalWeight;
+  let selectedMedia = candidates[candidates.length - 1];
+  for (const media of candidates) {
+    remaining -= getMediaWeight(media, data.tagWeights);
+    if (remaining < 0) {
+      selectedMedia = media;
+      break;
+    }
+  }
+
+  rotationState[chatId][name] = [selectedMedia.mediaId];
+  saveRotationState();
+  return selectedMedia;
+}
+
+// Function to get next unsent media item for one of a chat's schedules, in
+// the schedule's order (see ORDER_STRATEGIES). Media whose IDs are in
+// 'excludeIds' (e.g. items already picked for the same album) are never
+// returned; null is returned if nothing is left.
+function getNextUnsentMedia(chatId, name, mediaList, excludeIds = new Set()) {
+  if (!rotationState[chatId]) {
+    rotationState[chatId] = {};
+  }
+  
+  const data = (scheduleData[chatId] && scheduleData[chatId][name]) || {};
+  if (data.order === 'weighted') {
+    return pickWeightedMedia(chatId, name, mediaList, excludeIds);
+  }
+  
+  // Only keep IDs of media that still exist in the list, so deleted
+  // items don't count towards the current cycle
+  const availableIds = new Set(mediaList.map(media => media.mediaId));
+  const sentIds = new Set((rotationState[chatId][name] || []).filter(mediaId => availableIds.has(mediaId)));
+  
+  // Filter out already sent media
+  let unsentMedia = mediaList.filter(media => !sentIds.has(media.mediaId) && !excludeIds.has(media.mediaId));
+  
+  // If all media has been sent, start a new cycle with all media
+  if (unsentMedia.length === 0) {
+    sentIds.clear();
+    unsentMedia = mediaList.filter(media => !excludeIds.has(media.mediaId));
+    // Fresh-first order counts new uploads from the start of the cycle
+    if (data.order === 'fresh') {
+      data.cycleStartedAt = new Date().toISOString();
+      saveScheduleData();
+    }
+  }
+  
+  if (unsentMedia.length === 0) {
+    return null;
+  }
+  
+  const selectedMedia = pickUnsentMedia(data, unsentMedia);
+  
+  // Mark this media as sent and persist the progress
+  sentIds.add(selectedMedia.mediaId);
+  rotationState[chatId][name] = [...sentIds];
+  saveRotationState();
+  
+  return selectedMedia;
+}
+
+// Get up to 'count' different media items from the rotation, e.g. for an album
+function getNextUnsentMediaBatch(chatId, name, mediaList, count) {
+  const batch = [];
+  const pickedIds = new Set();
+  
+  while (batch.length < count) {
+    const media = getNextUnsentMedia(chatId, name, mediaList, pickedIds);
+    if (!media) {
+      break;
+    }
+    batch.push(media);
+    pickedIds.add(media.mediaId);
+  }
+  
+  return batch;
+}
+
+// Parse a time of day like 9:00 or 18:30 into HH:mm, or null if invalid
+function parseTimeOfDay(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text.trim());
+  if (!match) {
+    return null;
+  }
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  return String(hours).padStart(2, '0') + ':' + match[2];
+}
+
+// Parse a duration like 45, 90m, 3h, 1h30m, 2d or "3 hours" into minutes, or null if invalid
+function parseDuration(text) {
+  const normalized = text.trim().toLowerCase();
+
+  // A plain number is minutes
+  if (/^\d+$/.test(normalized)) {
+    return parseInt(normalized);
+  }
+
+  const units = { d: 1440, day: 1440, days: 1440, h: 60, hr: 60, hrs: 60, hour: 60, hours: 60, m: 1, min: 1, mins: 1, minute: 1, minutes: 1 };
+  const partPattern = /(\d+)\s*([a-z]+)/g;
+  let minutes = 0;
+  let consumed = '';
+  let match;
+  while ((match = partPattern.exec(normalized)) !== null) {
+    if (!units[match[2]]) {
+      return null;
+    }
+    minutes += parseInt(match[1]) * units[match[2]];
+    consumed += match[0];
+  }
+
+  // Reject anything that isn't made up of number/unit pairs
+  if (consumed.replace(/\s/g, '') !== normalized.replace(/\s/g, '')) {
+    return null;
+  }
+
+  return minutes > 0 ? minutes : null;
+}
+
+// Parse the timing a user typed for /schedule. Supported forms:
+//   30 / 90m / 3h / every 2 days     - fixed interval
+//   daily 09:00 / at 09:00, 18:30    - specific times every day
+//   cron 0 */2 * * *                 - cron expression
+// Any of them can end with "between 09:00-22:00" to only post inside that window.
+// Returns the timing rule, or null if the text can't be parsed.
+function parseTiming(text) {
+  let rest = text.trim().toLowerCase();
+  let window = null;
+
+  // Optional time window at the end
+  const windowMatch = /\s+between\s+(\d{1,2}:\d{2})\s*(?:-|and|to)\s*(\d{1,2}:\d{2})$/.exec(rest);
+  if (windowMatch) {
+    const start = parseTimeOfDay(windowMatch[1]);
+    const end = parseTimeOfDay(windowMatch[2]);
+    if (!start || !end || start === end) {
+      return null;
+    }
+    window = { start: start, end: end };
+    rest = rest.substring(0, windowMatch.index).trim();
+  }
+
+  let timing = null;
+
+  if (rest.startsWith('cron ')) {
+    const expression = text.trim().substring('cron '.length).replace(/\s+between\s+.*$/i, '').trim();
+    try {
+      cronParser.parseExpression(expression);
+    } catch (error) {
+      return null;
+    }
+    timing = { type: 'cron', expression: expression };
+  } else if (rest.startsWith('daily ') || rest.startsWith('at ')) {
+    const times = rest.substring(rest.indexOf(' ') + 1).split(/[\s,]+/).filter(Boolean).map(parseTimeOfDay);
+    if (times.length === 0 || times.includes(null)) {
+      return null;
+    }
+    timing = { type: 'daily', times: [...new Set(times)].sort() };
+  } else {
+    const minutes = parseDuration(rest.replace(/^every\s+/, ''));
+    if (!minutes) {
+      return null;
+    }
+    timing = { type: 'interval', minutes: minutes };
+  }
+
+  if (window) {
+    timing.window = window;
+  }
+
+  return timing;
+}
+
+// Format a number of minutes as a readable duration
+function formatDuration(minutes) {
+  const parts = [];
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+  if (days) {
+    parts.push(days + (days === 1 ? ' day' : ' days'));
+  }
+  if (hours) {
+    parts.push(hours + (hours === 1 ? ' hour' : ' hours'));
+  }
+  if (mins) {
+    parts.push(mins + (mins === 1 ? ' minute' : ' minutes'));
+  }
+  return parts.join(' ');
+}
+
+// Describe a timing rule in words
+function describeTiming(timing) {
+  let description = '';
+  switch(timing.type) {
+    case 'interval':
+      description = 'every ' + formatDuration(timing.minutes);
+      break;
+    case 'daily':
+      description = 'daily at ' + timing.times.join(', ');
+      break;
+    case 'cron':
+      description = 'on cron schedule "' + timing.expression + '"';
+      break;
+  }
+
+  if (timing.window) {
+    description += ' between ' + timing.window.start + ' and ' + timing.window.end;
+  }
+
+  return description;
+}
+
+// Check whether a date falls inside a timing rule's window (if it has one)
+function isInsideWindow(date, timing, timezone) {
+  if (!timing.window) {
+    return true;
+  }
+
+  const timeOfDay = DateTime.fromJSDate(date, { zone: timezone }).toFormat('HH:mm');
+  const { start, end } = timing.window;
+
+  // Windows like 22:00-06:00 wrap around midnight
+  if (start < end) {
+    return timeOfDay >= start && timeOfDay < end;
+  }
+  return timeOfDay >= start || timeOfDay < end;
+}
+
+// Get the next 'count' times a timing rule fires after the given date
+function getNextFireTimes(timing, timezone, after, count) {
+  const fireTimes = [];
+  // Upper bound on candidates we look at, so a narrow window can't loop forever
+  const maxCandidates = 100000;
+  let candidates = 0;
+
+  if (timing.type === 'interval') {
+    const intervalMs = timing.minutes * 60 * 1000;
+    // Fire times are anchored to when the rule was set, so restarts keep the same rhythm
+    const anchor = new Date(timing.anchor || after).getTime();
+    let next = anchor + (Math.floor((after.getTime() - anchor) / intervalMs) + 1) * intervalMs;
+    while (fireTimes.length < count && candidates++ < maxCandidates) {
+      const date = new Date(next);
+      if (isInsideWindow(date, timing, timezone)) {
+        fireTimes.push(date);
+      }
+      next += intervalMs;
+    }
+    return fireTimes;
+  }
+
+  // Daily times are a cron expression per time of day
+  const expressions = timing.type === 'cron'
+    ? [timing.expression]
+    : timing.times.map(time => {
+      const [hours, minutes] = time.split(':');
+      return parseInt(minutes) + ' ' + parseInt(hours) + ' * * *';
+    });
+
+  const iterators = expressions.map(expression => cronParser.parseExpression(expression, {
+    currentDate: after,
+    tz: timezone
+  }));
+  const upcoming = iterators.map(iterator => iterator.next().toDate());
+
+  while (fireTimes.length < count && candidates++ < maxCandidates) {
+    // Take the earliest upcoming time and advance that iterator
+    let earliest = 0;
+    for (let i = 1; i < upcoming.length; i++) {
+      if (upcoming[i] < upcoming[earliest]) {
+        earliest = i;
+      }
+    }
+
+    const date = upcoming[earliest];
+    if (isInsideWindow(date, timing, timezone) &&
+        (fireTimes.length === 0 || date.getTime() !== fireTimes[fireTimes.length - 1].getTime())) {
+      fireTimes.push(date);
+    }
+    upcoming[earliest] = iterators[earliest].next().toDate();
+  }
+
+  return fireTimes;
+}
+
+// Format fire times as a list in the chat's timezone
+function formatFireTimes(fireTimes, timezone) {
+  return fireTimes
+    .map(date => '- ' + DateTime.fromJSDate(date, { zone: timezone }).toFormat('ccc, dd LLL yyyy HH:mm'))
+    .join('\n');
+}
+
+// Telegram allows about 30 messages per second overall, one per second in a
+// private chat and 20 per minute in a group. The send queue stays a bit below that.
+const GLOBAL_SEND_INTERVAL_MS = 40;
+const PRIVATE_SEND_INTERVAL_MS = 1000;
+const GROUP_SEND_INTERVAL_MS = 3000;
+
+// Every outgoing scheduled send goes through this queue, oldest first. A chat
+// that is still throttled doesn't hold up sends to other chats.
+const sendQueue = [];
+const chatReadyAt = {};
+let globalReadyAt = 0;
+let sendQueueTimer = null;
+// How long the most recently started send had been waiting in the queue
+let lastSendWaitMs = 0;
+
+// Queue a send to a chat. 'weight' is how many messages it posts (an album
+// posts one per item), which is how much of the chat's allowance it uses.
+// Resolves or rejects with the result of 'run'.
+function enqueueSend(chatId, run, weight = 1) {
+  return new Promise((resolve, reject) => {
+    sendQueue.push({ chatId: String(chatId), run, weight, resolve, reject, queuedAt: Date.now() });
+    processSendQueue();
+  });
+}
+
+// Hold back all queued sends to a chat for a while, e.g. after a flood limit
+function holdSendQueue(chatId, ms) {
+  chatId = String(chatId);
+  chatReadyAt[chatId] = Math.max(chatReadyAt[chatId] || 0, Date.now() + ms);
+}
+
+// Start the next send that is allowed to go out, then wait for the next free slot
+function processSendQueue() {
+  clearTimeout(sendQueueTimer);
+  sendQueueTimer = null;
+
+  if (sendQueue.length === 0) {
+    // Forget chats whose throttle has run out
+    const now = Date.now();
+    Object.keys(chatReadyAt).forEach(chatId => {
+      if (chatReadyAt[chatId] <= now) {
+        delete chatReadyAt[chatId];
+      }
+    });
+    return;
+  }
+
+  const now = Date.now();
+  if (globalReadyAt > now) {
+    sendQueueTimer = setTimeout(processSendQueue, globalReadyAt - now);
+    return;
+  }
+
+  const index = sendQueue.findIndex(task => (chatReadyAt[task.chatId] || 0) <= now);
+  if (index === -1) {
+    const nextReady = Math.min(...sendQueue.map(task => chatReadyAt[task.chatId]));
+    sendQueueTimer = setTimeout(processSendQueue, nextReady - now);
+    return;
+  }
+
+  const task = sendQueue.splice(index, 1)[0];
+  const chatInterval = task.chatId.startsWith('-') ? GROUP_SEND_INTERVAL_MS : PRIVATE_SEND_INTERVAL_MS;
+  globalReadyAt = now + GLOBAL_SEND_INTERVAL_MS * task.weight;
+  chatReadyAt[task.chatId] = now + chatInterval * task.weight;
+  lastSendWaitMs = now - task.queuedAt;
+
+  Promise.resolve().then(task.run).then(task.resolve, task.reject);
+  processSendQueue();
+}
+
+// Current state of the send queue: how many sends are waiting, for how many
+// chats, how long the oldest has been waiting and how long the last one waited
+function getSendQueueStatus() {
+  const now = Date.now();
+  return {
+    depth: sendQueue.length,
+    chats: new Set(sendQueue.map(task => task.chatId)).size,
+    oldestWaitMs: sendQueue.length > 0 ? now - Math.min(...sendQueue.map(task => task.queuedAt)) : 0,
+    lastWaitMs: lastSendWaitMs
+  };
+}
+
+// How often a send is attempted before giving up on flood limits and network errors
+const MAX_SEND_ATTEMPTS = 5;
+// Backoff for network errors starts here and doubles on every attempt, up to the cap
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 60 * 1000;
+
+// Network error codes that are worth retrying
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ENETUNREACH'];
+
+// Errors meaning the bot can no longer post to the chat at all
+const CHAT_GONE_PATTERN = /chat not found|bot was kicked|bot was blocked|not a member|group chat was deactivated|have no rights to send|not enough rights|CHAT_WRITE_FORBIDDEN/i;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Sort a send error into how it should be handled:
+// 'migrated', 'rate_limit', 'chat_gone', 'transient' or 'fatal'
+function classifySendError(error) {
+  const response = error.response;
+
+  if (!response) {
+    return TRANSIENT_ERROR_CODES.includes(error.code) || error.name === 'FetchError' || error.type === 'request-timeout'
+      ? 'transient'
+      : 'fatal';
+  }
+
+  const parameters = response.parameters || {};
+  if (parameters.migrate_to_chat_id) {
+    return 'migrated';
+  }
+  if (response.error_code === 429) {
+    return 'rate_limit';
+  }
+  if (response.error_code === 403 || CHAT_GONE_PATTERN.test(response.description || '')) {
+    return 'chat_gone';
+  }
+  if (response.error_code >= 500) {
+    return 'transient';
+  }
+  return 'fatal';
+}
+
+// Send a message to every bot owner, ignoring owners the bot can't reach
+function notifyOwners(text) {
+  const owners = [...new Set([...ADMIN_IDS, ...roles.owners])];
+  return Promise.all(owners.map(ownerId => enqueueSend(ownerId, () => bot.telegram.sendMessage(ownerId, text)).catch((error) => {
+    console.error('Error notifying owner ' + ownerId + ':', error.message);
+  })));
+}
+
+// Move everything the bot knows about a chat to its new ID, for groups that
+// Telegram upgraded to supergroups. Safe to call more than once.
+function migrateChat(oldChatId, newChatId) {
+  if (!scheduleData[oldChatId] && !rotationState[oldChatId] && !chatSettings[oldChatId] && !postData[oldChatId]) {
+    return;
+  }
+  console.log('Chat ' + oldChatId + ' migrated to ' + newChatId + ', moving its schedules');
+
+  const names = Object.keys(scheduleData[oldChatId] || {});
+  names.forEach(name => cancelScheduledJob(oldChatId, name));
+  delete schedules[oldChatId];
+
+  const postIds = Object.keys(postData[oldChatId] || {});
+  postIds.forEach(postId => cancelPostJob(oldChatId, postId));
+
+  if (scheduleData[oldChatId]) {
+    scheduleData[newChatId] = Object.assign({}, scheduleData[newChatId], scheduleData[oldChatId]);
+    delete scheduleData[oldChatId];
+    saveScheduleData();
+  }
+  if (rotationState[oldChatId]) {
+    rotationState[newChatId] = Object.assign({}, rotationState[newChatId], rotationState[oldChatId]);
+    delete rotationState[oldChatId];
+    saveRotationState();
+  }
+  if (chatSettings[oldChatId]) {
+    chatSettings[newChatId] = Object.assign({}, chatSettings[oldChatId], chatSettings[newChatId]);
+    delete chatSettings[oldChatId];
+    saveChatSettings();
+  }
+  if (postData[oldChatId]) {
+    postData[newChatId] = Object.assign({}, postData[newChatId], postData[oldChatId]);
+    delete postData[oldChatId];
+    savePostData();
+  }
+
+  names.forEach(name => armScheduledJob(newChatId, name));
+  postIds.forEach(postId => armPostJob(newChatId, postId));
+}
+
+// Pause every schedule of a chat the bot can no longer post to, and let the
+// owners know. Pausing keeps the settings, so the schedules can be resumed
+// from /chats once the bot is back (channels can't take commands like /resume).
+function pauseDeadChat(chatId, error) {
+  const names = getChatSchedules(chatId)
+    .filter(([, data]) => !data.paused)
+    .map(([name]) => name);
+
+  if (names.length === 0) {
+    return;
+  }
+
+  const reason = error.response ? error.response.description : error.message;
+  for (const name of names) {
+    scheduleData[chatId][name].paused = true;
+    scheduleData[chatId][name].pausedReason = reason;
+    cancelScheduledJob(chatId, name);
+  }
+  saveScheduleData();
+
+  console.log('Paused schedules of chat ' + chatId + ': ' + reason);
+  notifyOwners(
+    'Paused ' + names.join(', ') + ' in chat ' + chatId + ' because the bot can no longer post there:\n' + reason + '\n\n' +
+    'Once the bot can post there again, resume them from /chats in this private chat' +
+    (chatSettings[chatId] && chatSettings[chatId].type === 'channel' ? '.' : ' or with /resume in the group.')
+  );
+}
+
+// Run a send to a chat through the send queue, handling Telegram errors along
+// the way: flood limits hold the chat's queue for retry_after, network errors
+// back off and retry, migrated groups move to their new ID, and chats the bot
+// has lost get their schedules paused. 'weight' is passed on to enqueueSend.
+// Resolves with the chat ID the send finally went to.
+async function sendWithRetry(chatId, send, weight = 1) {
+  let targetChatId = chatId;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const sendTo = targetChatId;
+      await enqueueSend(sendTo, () => send(sendTo), weight);
+      return targetChatId;
+    } catch (error) {
+      const errorType = classifySendError(error);
+      const canRetry = attempt < MAX_SEND_ATTEMPTS;
+
+      if (errorType === 'migrated' && canRetry) {
+        const newChatId = error.response.parameters.migrate_to_chat_id;
+        migrateChat(targetChatId, newChatId);
+        targetChatId = newChatId;
+      } else if (errorType === 'rate_limit' && canRetry) {
+        const retryAfter = error.response.parameters ? error.response.parameters.retry_after : 0;
+        console.log('Flood limit for chat ' + targetChatId + ', retrying in ' + retryAfter + 's');
+        holdSendQueue(targetChatId, (retryAfter || 1) * 1000);
+      } else if (errorType === 'transient' && canRetry) {
+        const wait = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1), RETRY_MAX_DELAY_MS);
+        console.log('Network error sending to chat ' + targetChatId + ' (' + (error.code || error.message) + '), retrying in ' + (wait / 1000) + 's');
+        await delay(wait);
+      } else {
+        if (errorType === 'chat_gone') {
+          pauseDeadChat(targetChatId, error);
         }
+        error.chatId = targetChatId;
+        throw error;
+      }
+    }
+  }
+}
+
+// Telegram's caption limit
+const MAX_CAPTION_LENGTH = 1024;
+
+// Parse modes a chat can pick with /parsemode
+const PARSE_MODES = { html: 'HTML', markdown: 'MarkdownV2' };
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+// Render a caption with the chat's caption template and footer. 'values'
+// fills the placeholders: {caption}, {tags}, {chatTitle}, {schedule},
+// {index} and {total}; {date} and {time} are now in the chat's timezone.
+// Values are escaped for the chat's parse mode. When the result is too long
+// for Telegram, the longest values are shortened before they're escaped,
+// so no tag or escape sequence is ever cut in half.
+function renderCaption(chatId, values) {
+  const settings = chatSettings[chatId] || {};
+  const template = (settings.captionTemplate || '{caption}') + (settings.captionFooter ? '\n\n' + settings.captionFooter : '');
+  const escape = settings.parseMode === 'HTML' ? escapeHtml : settings.parseMode === 'MarkdownV2' ? escapeMarkdown : (text => text);
+  const now = DateTime.now().setZone(getChatTimezone(chatId));
+  const allValues = Object.assign({ date: now.toFormat('dd LLL yyyy'), time: now.toFormat('HH:mm') }, values);
+  for (const key in allValues) {
+    allValues[key] = allValues[key] == null ? '' : String(allValues[key]);
+  }
+
+  const fill = () => template
+    .replace(/\{(\w+)\}/g, (placeholder, key) => key in allValues ? escape(allValues[key]) : placeholder)
+    .trim();
+
+  let rendered = fill();
+  const keys = Object.keys(allValues).sort((a, b) => allValues[b].length - allValues[a].length || (b === 'caption') - (a === 'caption'));
+  for (const key of keys) {
+    if (rendered.length <= MAX_CAPTION_LENGTH) {
+      break;
+    }
+    // Keep the longest start of the value that still fits once it's escaped
+    const text = allValues[key];
+    let fits = 0;
+    let tooLong = text.length;
+    while (tooLong - fits > 1) {
+      const length = Math.floor((fits + tooLong) / 2);
+      allValues[key] = text.substring(0, length) + '…';
+      if (fill().length <= MAX_CAPTION_LENGTH) {
+        fits = length;
       } else {
-        return ctx.reply('Invalid range. Please check the indices and try again.');
+        tooLong = length;
+      }
+    }
+    allValues[key] = fits ? text.substring(0, fits) + '…' : '';
+    rendered = fill();
+  }
+  // Only a template longer than the limit is left; /template and /footer
+  // don't accept those
+  return rendered.substring(0, MAX_CAPTION_LENGTH);
+}
+
+// Title of a group for the {chatTitle} placeholder. It's remembered in the
+// chat settings and fetched from Telegram the first time it's needed.
+async function getChatTitle(chatId) {
+  if (chatSettings[chatId] && chatSettings[chatId].title) {
+    return chatSettings[chatId].title;
+  }
+  try {
+    const chat = await bot.telegram.getChat(chatId);
+    if (chat.title) {
+      chatSettings[chatId] = Object.assign({}, chatSettings[chatId], { title: chat.title });
+      saveChatSettings();
+    }
+    return chat.title || '';
+  } catch (error) {
+    console.error('Error getting the title of chat ' + chatId + ':', error.message);
+    return '';
+  }
+}
+
+// Send a single media item to a chat, using the send method of its kind,
+// and record the attempt in the delivery log. 'parseMode' is the Telegram
+// parse mode of the caption, if any. Resolves with whether it was sent.
+function sendMediaItem(chatId, scheduleName, media, caption, parseMode) {
+  const kindInfo = MEDIA_KINDS[media.type];
+  console.log('Sending ' + media.type + ' ' + media.mediaId + (media.id ? ' with file ID: ' + media.id : ' from ' + media.localPath));
+  
+  const options = kindInfo.caption && caption ? { caption: caption } : {};
+  if (options.caption && parseMode) {
+    options.parse_mode = parseMode;
+  }
+  // A local file that hasn't been uploaded yet is read from disk on every attempt
+  let sentMessage = null;
+  const send = targetChatId => bot.telegram[kindInfo.sendMethod](targetChatId, getMediaInput(media), options).then((message) => {
+    sentMessage = message;
+  });
+  return sendWithRetry(chatId, send).then((sentChatId) => {
+    cacheUploadedFile(media, sentMessage);
+    logDelivery(sentChatId, scheduleName, media, null);
+    return true;
+  }).catch((error) => {
+    console.error('Error sending ' + kindInfo.label + ' to chat ' + error.chatId + ':', error);
+    logDelivery(error.chatId, scheduleName, media, error);
+    return false;
+  });
+}
+
+// Send several media items to a chat as one album, with the caption at the
+// same position in 'captions' on each item (empty for none). All items must
+// be of kinds that can share an album (see splitIntoAlbums). Resolves with
+// whether it was sent.
+function sendMediaAlbum(chatId, scheduleName, mediaItems, captions, parseMode) {
+  console.log('Sending album of ' + mediaItems.length + ' items: ' + mediaItems.map(media => media.mediaId).join(', '));
+  
+  const album = mediaItems.map((media, index) => {
+    const item = { type: MEDIA_KINDS[media.type].albumType, media: getMediaInput(media) };
+    if (captions[index]) {
+      item.caption = captions[index];
+      if (parseMode) {
+        item.parse_mode = parseMode;
       }
+    }
+    return item;
+  });
+  
+  // Every item of the album gets its own delivery log entry
+  let sentMessages = [];
+  const send = targetChatId => bot.telegram.sendMediaGroup(targetChatId, album).then((messages) => {
+    sentMessages = messages;
+  });
+  return sendWithRetry(chatId, send, album.length).then((sentChatId) => {
+    mediaItems.forEach((media, index) => cacheUploadedFile(media, sentMessages[index]));
+    mediaItems.forEach(media => logDelivery(sentChatId, scheduleName, media, null));
+    return true;
+  }).catch((error) => {
+    console.error('Error sending album to chat ' + error.chatId + ':', error);
+    mediaItems.forEach(media => logDelivery(error.chatId, scheduleName, media, error));
+    return false;
+  });
+}
+
+// Split a batch of media into groups that can each be sent as one album.
+// Telegram allows photos and videos to be mixed, while documents and audio
+// can only be grouped with their own kind. Other kinds are sent on their own.
+function splitIntoAlbums(mediaItems) {
+  const groups = { visual: [], document: [], audio: [] };
+  const singles = [];
+  
+  for (const media of mediaItems) {
+    const albumType = MEDIA_KINDS[media.type].albumType;
+    if (albumType === 'photo' || albumType === 'video') {
+      groups.visual.push(media);
+    } else if (albumType) {
+      groups[albumType].push(media);
     } else {
-      return ctx.reply('Invalid range format. Use: /deleteimages start-end (e.g., /deleteimages 1-3)');
+      singles.push([media]);
     }
-  } 
-  // Check if it's a list of indices (e.g., 1,3,5)
-  else if (text.includes(',')) {
-    const indices = text.split(',');
-    for (const index of indices) {
-      const idx = parseInt(index.trim()) - 1; // Convert to 0-based index
-      if (idx >= 0 && idx < images.length) {
-        indicesToDelete.push(idx);
+  }
+  
+  return [...Object.values(groups).filter(group => group.length > 0), ...singles];
+}
+
+// The media a schedule picks from: its kinds (including local files of those
+// kinds), limited by its tag and metadata filters
+function getScheduleMedia(chatId, name) {
+  const data = scheduleData[chatId][name];
+  return data.mediaTypes
+    .flatMap(kind => [...(mediaStores[kind] || []), ...localMedia.filter(media => media.type === kind)])
+    .filter(media => matchesTagFilter(media, data.tagFilter) && matchesMediaFilter(media, data.mediaFilter));
+}
+
+// Send the next media item (or album) for one of a chat's schedules. Captions
+// are rendered with the chat's caption template (see renderCaption). Resolves
+// with whether anything was delivered.
+async function sendScheduledMedia(chatId, name) {
+  const data = scheduleData[chatId][name];
+  console.log('Sending media to chat ' + chatId + ' for schedule "' + name + '" at ' + new Date().toISOString());
+  
+  const mediaToSend = getScheduleMedia(chatId, name);
+  
+  if (mediaToSend.length === 0) {
+    console.log('No media to send for chat ' + chatId + ' schedule "' + name + '"');
+    return false;
+  }
+  
+  // Send random media items (avoiding duplicates until all are sent)
+  const batch = getNextUnsentMediaBatch(chatId, name, mediaToSend, data.batchSize || 1);
+  
+  // With weighted order nothing is picked when every item has weight 0
+  if (batch.length === 0) {
+    console.log('No media with a weight above 0 to send for chat ' + chatId + ' schedule "' + name + '"');
+    return false;
+  }
+  
+  // {index} is the item's position in the current rotation cycle
+  const poolIds = new Set(mediaToSend.map(media => media.mediaId));
+  const sentInCycle = (rotationState[chatId][name] || []).filter(mediaId => poolIds.has(mediaId)).length;
+  const settings = chatSettings[chatId] || {};
+  const chatTitle = /\{chatTitle\}/.test((settings.captionTemplate || '') + (settings.captionFooter || ''))
+    ? await getChatTitle(chatId)
+    : '';
+  const captionValues = (media, caption) => ({
+    caption: caption,
+    tags: getMediaTags(media).map(tag => '#' + tag).join(' '),
+    chatTitle: chatTitle,
+    schedule: name,
+    index: Math.max(sentInCycle - batch.length + batch.indexOf(media) + 1, 1),
+    total: mediaToSend.length
+  });
+  
+  // The album caption only goes on the first message of the run; the
+  // other items of that album get no caption
+  let albumCaption = data.albumCaption;
+  const sends = [];
+  for (const group of splitIntoAlbums(batch)) {
+    const captions = group.map(media => albumCaption ? '' : renderCaption(chatId, captionValues(media, media.caption || '')));
+    if (albumCaption) {
+      captions[0] = renderCaption(chatId, captionValues(group[0], albumCaption));
+    }
+    
+    // An album needs at least two items, so a single item is sent on its own
+    if (group.length === 1) {
+      sends.push(sendMediaItem(chatId, name, group[0], captions[0], settings.parseMode));
+    } else {
+      sends.push(sendMediaAlbum(chatId, name, group, captions, settings.parseMode));
+    }
+    albumCaption = '';
+  }
+  
+  const results = await Promise.all(sends);
+  return results.includes(true);
+}
+
+// Whether a date falls in a chat's quiet hours (see /quiet), when schedules
+// don't post. Quiet hours are the time window outside of which posting is allowed.
+function isQuietTime(chatId, date) {
+  const quietHours = chatSettings[chatId] && chatSettings[chatId].quietHours;
+  if (!quietHours) {
+    return false;
+  }
+  return !isInsideWindow(date, { window: { start: quietHours.end, end: quietHours.start } }, getChatTimezone(chatId));
+}
+
+// Number of scheduled posts a chat got today, in its own timezone
+function getPostsToday(chatId) {
+  const settings = chatSettings[chatId];
+  const today = DateTime.now().setZone(getChatTimezone(chatId)).toISODate();
+  return settings && settings.postsToday && settings.postsToday.date === today ? settings.postsToday.count : 0;
+}
+
+// Scheduled posts still on their way, per chat. They count towards the daily
+// limit until they are done, so schedules firing at the same time can't go over it.
+const pendingScheduledPosts = {};
+
+// Count a scheduled post towards the chat's daily limit
+function countScheduledPost(chatId) {
+  const count = getPostsToday(chatId) + 1;
+  const today = DateTime.now().setZone(getChatTimezone(chatId)).toISODate();
+  chatSettings[chatId] = Object.assign({}, chatSettings[chatId], { postsToday: { date: today, count: count } });
+  saveChatSettings();
+}
+
+// Why a schedule must not post right now: it's paused, the chat is in its
+// quiet hours or has reached its daily limit. Returns null if it may post.
+function getSkipReason(chatId, name) {
+  const data = scheduleData[chatId][name];
+  if (data.paused) {
+    return 'schedule is paused';
+  }
+  if (isQuietTime(chatId, new Date())) {
+    return 'quiet hours';
+  }
+  const dailyLimit = chatSettings[chatId] && chatSettings[chatId].dailyLimit;
+  if (dailyLimit && getPostsToday(chatId) + (pendingScheduledPosts[chatId] || 0) >= dailyLimit) {
+    return 'daily limit of ' + dailyLimit + ' posts reached';
+  }
+  return null;
+}
+
+// Describe a chat's quiet hours and daily limit, or '' if it has neither
+function describeChatLimits(chatId) {
+  const settings = chatSettings[chatId] || {};
+  const parts = [];
+  if (settings.quietHours) {
+    parts.push('Quiet hours: ' + settings.quietHours.start + '-' + settings.quietHours.end + (isQuietTime(chatId, new Date()) ? ' (now)' : ''));
+  }
+  if (settings.dailyLimit) {
+    parts.push('Daily limit: ' + getPostsToday(chatId) + ' of ' + settings.dailyLimit + ' posts today');
+  }
+  return parts.join('\n');
+}
+
+// Run one of a chat's schedules once, unless it has to skip this run (see
+// getSkipReason). Only a post that was delivered counts towards the daily
+// limit; an empty pool or a failed send doesn't. Resolves with whether it posted.
+async function runScheduledJob(chatId, name) {
+  const skipReason = getSkipReason(chatId, name);
+  if (skipReason) {
+    console.log('Skipping schedule "' + name + '" of chat ' + chatId + ': ' + skipReason);
+    return false;
+  }
+
+  pendingScheduledPosts[chatId] = (pendingScheduledPosts[chatId] || 0) + 1;
+  try {
+    const sent = await sendScheduledMedia(chatId, name);
+    if (sent) {
+      countScheduledPost(chatId);
+    }
+    return sent;
+  } catch (error) {
+    console.error('Error sending media to chat ' + chatId + ' for schedule "' + name + '":', error);
+    return false;
+  } finally {
+    pendingScheduledPosts[chatId]--;
+  }
+}
+
+// Schedule the next run of one of a chat's jobs. Each run schedules the one
+// after it, which lets intervals of any length and cron rules share one code path.
+function armScheduledJob(chatId, name) {
+  const data = scheduleData[chatId][name];
+  
+  if (!schedules[chatId]) {
+    schedules[chatId] = {};
+  }
+  
+  // Paused schedules keep their data but have no job
+  if (data.paused) {
+    delete schedules[chatId][name];
+    return;
+  }
+  
+  const nextRun = getNextFireTimes(data.timing, getChatTimezone(chatId), new Date(), 1)[0];
+
+  if (!nextRun) {
+    console.log('Timing rule for chat ' + chatId + ' schedule "' + name + '" never fires, not scheduling');
+    delete schedules[chatId][name];
+    return;
+  }
+
+  const job = schedule.scheduleJob(nextRun, () => {
+    // The job may have been stopped or replaced while waiting
+    if (!schedules[chatId] || schedules[chatId][name] !== job) {
+      return;
+    }
+    runScheduledJob(chatId, name);
+    armScheduledJob(chatId, name);
+  });
+
+  schedules[chatId][name] = job;
+}
+
+// Cancel the job of one of a chat's schedules, keeping its data
+function cancelScheduledJob(chatId, name) {
+  if (schedules[chatId] && schedules[chatId][name]) {
+    schedules[chatId][name].cancel();
+    delete schedules[chatId][name];
+  }
+}
+
+// Function to create (or replace) a named scheduled job for a chat. Settings
+// like the tag filter are kept from the existing schedule unless given in
+// 'settings', and so are fields this function doesn't know, e.g. pausedReason.
+function createScheduledJob(chatId, name, timing, mediaTypes, settings = {}) {
+  // Cancel existing job if it exists
+  cancelScheduledJob(chatId, name);
+  
+  // Interval rules count from when they were set
+  if (timing.type === 'interval' && !timing.anchor) {
+    timing.anchor = new Date().toISOString();
+  }
+  
+  // Store schedule data separately from the job object
+  if (!scheduleData[chatId]) {
+    scheduleData[chatId] = {};
+  }
+  const existing = scheduleData[chatId][name];
+  scheduleData[chatId][name] = Object.assign({}, existing, {
+    timing: timing, 
+    mediaTypes: mediaTypes,
+    batchSize: existing && existing.batchSize ? existing.batchSize : 1,
+    albumCaption: existing && existing.albumCaption ? existing.albumCaption : '',
+    tagFilter: settings.tagFilter !== undefined ? settings.tagFilter : (existing && existing.tagFilter) || null,
+    mediaFilter: existing && existing.mediaFilter ? existing.mediaFilter : null,
+    order: existing && existing.order ? existing.order : 'random',
+    tagWeights: existing && existing.tagWeights ? existing.tagWeights : null,
+    cycleStartedAt: existing && existing.cycleStartedAt ? existing.cycleStartedAt : null,
+    paused: existing ? Boolean(existing.paused) : false,
+    createdAt: existing && existing.createdAt ? existing.createdAt : new Date().toISOString() 
+  });
+  saveScheduleData();
+  
+  armScheduledJob(chatId, name);
+  
+  console.log('Scheduled job "' + name + '" for chat ' + chatId + ' ' + describeTiming(timing) + ' for ' + mediaTypes.join(', '));
+}
+
+// Pause or resume one of a chat's schedules. Pausing keeps its settings and
+// rotation; resuming arms the job again. 'ctx' is the update the change came
+// from (null for the admin API), for the audit log.
+function setSchedulePaused(chatId, name, paused, ctx) {
+  scheduleData[chatId][name].paused = paused;
+  delete scheduleData[chatId][name].pausedReason;
+  cancelScheduledJob(chatId, name);
+  armScheduledJob(chatId, name);
+  saveScheduleData();
+  logAudit(ctx, chatId, (paused ? 'paused' : 'resumed') + ' schedule "' + name + '"');
+}
+
+// Remove one of a chat's schedules together with its rotation state (see
+// setSchedulePaused for 'ctx')
+function removeSchedule(chatId, name, ctx) {
+  cancelScheduledJob(chatId, name);
+  logAudit(ctx, chatId, 'stopped schedule "' + name + '"');
+  
+  if (scheduleData[chatId]) {
+    delete scheduleData[chatId][name];
+    if (Object.keys(scheduleData[chatId]).length === 0) {
+      delete scheduleData[chatId];
+    }
+    saveScheduleData();
+  }
+  
+  if (rotationState[chatId]) {
+    delete rotationState[chatId][name];
+    if (Object.keys(rotationState[chatId]).length === 0) {
+      delete rotationState[chatId];
+    }
+    saveRotationState();
+  }
+}
+
+// Get a chat's schedules as [name, data] pairs
+function getChatSchedules(chatId) {
+  return Object.entries(scheduleData[chatId] || {});
+}
+
+// Parse a schedule name typed by the user, or null if invalid
+function parseScheduleName(text) {
+  const name = text.trim().toLowerCase();
+  return /^[a-z0-9_-]{1,32}$/.test(name) ? name : null;
+}
+
+// Describe the media kinds a schedule sends, e.g. "videos, GIFs and stickers"
+function describeMediaTypes(mediaTypes) {
+  const names = mediaTypes.map(kind => MEDIA_KINDS[kind].plural);
+  if (names.length <= 1) {
+    return names.join('');
+  }
+  return names.slice(0, -1).join(', ') + ' and ' + names[names.length - 1];
+}
+
+// Describe one schedule for listings, including its next run
+function describeSchedule(chatId, name) {
+  const data = scheduleData[chatId][name];
+  let description = name + ': ' + describeMediaTypes(data.mediaTypes) + ' ' + describeTiming(data.timing);
+  
+  if (data.batchSize > 1) {
+    description += ', ' + data.batchSize + ' per album';
+  }
+  
+  if (data.tagFilter) {
+    description += ', ' + describeTagFilter(data.tagFilter);
+  }
+  
+  if (data.mediaFilter) {
+    description += ', ' + describeMediaFilter(data.mediaFilter);
+  }
+  
+  if (data.order && data.order !== 'random') {
+    description += ', ' + ORDER_STRATEGIES[data.order];
+  }
+  
+  if (data.paused) {
+    description += data.pausedReason ? ' (paused: ' + data.pausedReason + ')' : ' (paused)';
+  } else {
+    const timezone = getChatTimezone(chatId);
+    const nextRun = getNextFireTimes(data.timing, timezone, new Date(), 1)[0];
+    if (nextRun) {
+      description += '\n   Next: ' + DateTime.fromJSDate(nextRun, { zone: timezone }).toFormat('ccc, dd LLL yyyy HH:mm');
+    }
+  }
+  
+  return description;
+}
+
+// Name one-off posts are logged under in the delivery log. Schedule names
+// can't contain brackets, so it never clashes with a real schedule.
+const ONE_OFF_SCHEDULE_NAME = '(one-off)';
+
+// Get the media kind of a message, or null if it has no media the bot can send
+function getMessageMediaKind(message) {
+  return Object.keys(MEDIA_KINDS).find(kind => kind === 'image' ? message.photo : message[kind]) || null;
+}
+
+// Generate an ID for a one-off post that is not used in the chat yet
+function generatePostId(chatId) {
+  let postId;
+  do {
+    postId = crypto.randomBytes(3).toString('hex');
+  } while (postData[chatId] && postData[chatId][postId]);
+  return postId;
+}
+
+// Get a chat's one-off posts as [postId, post] pairs, earliest first
+function getChatPosts(chatId) {
+  return Object.entries(postData[chatId] || {}).sort((a, b) => new Date(a[1].at) - new Date(b[1].at));
+}
+
+// Describe a one-off post, e.g. 'video "Sunday vibes"' or 'text "Hello all"'
+function describePost(post) {
+  const label = post.type === 'text' ? 'text' : MEDIA_KINDS[post.type].label;
+  if (!post.text) {
+    return label;
+  }
+  const text = post.text.replace(/\s+/g, ' ');
+  return label + ' "' + (text.length > 40 ? text.substring(0, 40) + '...' : text) + '"';
+}
+
+// Send a one-off post and remove it, whether it went out or not. Failures
+// are logged in the delivery log like those of schedules.
+function sendPost(chatId, postId) {
+  const post = postData[chatId][postId];
+  delete postJobs[chatId][postId];
+  delete postData[chatId][postId];
+  if (Object.keys(postData[chatId]).length === 0) {
+    delete postData[chatId];
+  }
+  savePostData();
+
+  console.log('Sending one-off post ' + postId + ' to chat ' + chatId);
+  const logged = { mediaId: postId, type: post.type };
+  const send = post.type === 'text'
+    ? targetChatId => bot.telegram.sendMessage(targetChatId, post.text, post.entities ? { entities: post.entities } : {})
+    : targetChatId => bot.telegram[MEDIA_KINDS[post.type].sendMethod](targetChatId, post.fileId, post.text
+      ? Object.assign({ caption: post.text }, post.entities ? { caption_entities: post.entities } : {})
+      : {});
+
+  return sendWithRetry(chatId, send).then((sentChatId) => {
+    logDelivery(sentChatId, ONE_OFF_SCHEDULE_NAME, logged, null);
+  }).catch((error) => {
+    console.error('Error sending one-off post ' + postId + ' to chat ' + error.chatId + ':', error);
+    logDelivery(error.chatId, ONE_OFF_SCHEDULE_NAME, logged, error);
+  });
+}
+
+// Schedule the job of a one-off post. A post whose time has passed (because
+// the bot was offline) is sent a second from now.
+function armPostJob(chatId, postId) {
+  const post = postData[chatId][postId];
+  if (!postJobs[chatId]) {
+    postJobs[chatId] = {};
+  }
+
+  const runAt = new Date(Math.max(new Date(post.at).getTime(), Date.now() + 1000));
+  postJobs[chatId][postId] = schedule.scheduleJob(runAt, () => sendPost(chatId, postId));
+}
+
+// Cancel the job of a one-off post, keeping its data
+function cancelPostJob(chatId, postId) {
+  if (postJobs[chatId] && postJobs[chatId][postId]) {
+    postJobs[chatId][postId].cancel();
+    delete postJobs[chatId][postId];
+  }
+}
+
+// Remove a one-off post before it was sent
+function removePost(chatId, postId) {
+  cancelPostJob(chatId, postId);
+  delete postData[chatId][postId];
+  if (Object.keys(postData[chatId]).length === 0) {
+    delete postData[chatId];
+  }
+  savePostData();
+}
+
+// In webhook mode, answer Telegram's request as soon as an update arrives.
+// Telegram sends an update again if the answer takes too long, which it would
+// for handlers that run for a while (imports, /dedup, waiting in the send queue).
+bot.use((ctx, next) => {
+  const response = ctx.telegram.response;
+  if (response && !response.writableEnded) {
+    response.end();
+  }
+  return next();
+});
+
+// Middleware to look up the user's bot role. Owners can do everything
+// editors can, so isEditor is true for both.
+bot.use((ctx, next) => {
+  const role = ctx.from ? getUserRole(ctx.from.id) : null;
+  ctx.isOwner = role === 'owner';
+  ctx.isEditor = role === 'owner' || role === 'editor';
+  return next();
+});
+
+// Telegram sends messages of anonymous group admins from this user
+const GROUP_ANONYMOUS_BOT_ID = 1087968824;
+
+// How long a getChatMember answer is reused, so repeated commands and
+// button presses don't query Telegram every time
+const CHAT_ADMIN_CACHE_MS = 60 * 1000;
+const chatAdminCache = {};
+
+// Check whether the sender is an admin of the current chat. Bot owners count
+// as admins everywhere, and private chats belong to the user.
+async function isChatAdmin(ctx) {
+  if (ctx.chat.type === 'private' || ctx.isOwner) {
+    return true;
+  }
+
+  // Anonymous admins and the chat itself (e.g. a channel) post as the chat
+  const senderChat = ctx.message ? ctx.message.sender_chat : null;
+  if (senderChat && senderChat.id === ctx.chat.id) {
+    return true;
+  }
+  if (!ctx.from || ctx.from.id === GROUP_ANONYMOUS_BOT_ID) {
+    return false;
+  }
+
+  return isUserChatAdmin(ctx.telegram, ctx.chat.id, ctx.from.id);
+}
+
+// Check whether a user is an admin of a chat, which doesn't have to be the
+// chat the update came from (see the /chats control panel)
+async function isUserChatAdmin(telegram, chatId, userId) {
+  const cacheKey = chatId + ':' + userId;
+  const cached = chatAdminCache[cacheKey];
+  if (cached && Date.now() - cached.checkedAt < CHAT_ADMIN_CACHE_MS) {
+    return cached.isAdmin;
+  }
+
+  try {
+    const member = await telegram.getChatMember(chatId, userId);
+    const isAdmin = member.status === 'creator' || member.status === 'administrator';
+    chatAdminCache[cacheKey] = { isAdmin: isAdmin, checkedAt: Date.now() };
+    return isAdmin;
+  } catch (error) {
+    console.error('Error checking admin status in chat ' + chatId + ':', error);
+    return false;
+  }
+}
+
+// Middleware for commands and buttons that change a group's schedules:
+// only the group's admins (and bot owners) may use them
+async function onlyChatAdmins(ctx, next) {
+  if (await isChatAdmin(ctx)) {
+    return next();
+  }
+
+  if (ctx.callbackQuery) {
+    return ctx.answerCbQuery('Only admins of this group can change its schedules.');
+  }
+  return ctx.reply('Only admins of this group can change its schedules.');
+}
+
+// Enable session middleware
+bot.use(session());
+
+// Keep the remembered titles of groups up to date for the {chatTitle} caption placeholder
+bot.use((ctx, next) => {
+  const settings = ctx.chat && chatSettings[ctx.chat.id];
+  if (settings && settings.title && ctx.chat.title && settings.title !== ctx.chat.title) {
+    settings.title = ctx.chat.title;
+    saveChatSettings();
+  }
+  return next();
+});
+
+// Start command
+bot.start((ctx) => {
+  if (ctx.isEditor) {
+    ctx.reply('Hello admin! You can use /addvideo or /addimage to add media that will be sent to groups.');
+  } else {
+    ctx.reply('Hello! Add me to a group and use /schedule to set up automatic media sending.');
+  }
+});
+
+// Admin command to add video
+bot.command('addvideo', (ctx) => {
+  if (!ctx.isEditor) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  ctx.reply('Please send the video you want to add to the bot.');
+});
+
+// Admin command to add image
+bot.command('addimage', (ctx) => {
+  if (!ctx.isEditor) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  ctx.reply('Please send the image you want to add to the bot.');
+});
+
+// Admin command to add any other kind of media
+bot.command('addmedia', (ctx) => {
+  if (!ctx.isEditor) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  ctx.reply('Please send the media you want to add to the bot. Supported: ' + Object.values(MEDIA_KINDS).map(kindInfo => kindInfo.plural).join(', ') + '.');
+});
+
+// Get the Telegram file of a given media kind from a message
+function getMessageFile(message, kind) {
+  if (kind === 'image') {
+    // Get the highest quality photo
+    return message.photo[message.photo.length - 1];
+  }
+  return message[kind];
+}
+
+// Add the media of a message to the collection of its kind, unless the same
+// file is in it already. Files are compared by their file_unique_id, which
+// unlike the file ID stays the same when a file is forwarded again. Returns
+// the new or the existing item, and whether it was a duplicate.
+function addMediaItem(kind, message, tags, caption) {
+  const file = getMessageFile(message, kind);
+  const mediaList = mediaStores[kind];
+
+  const existing = mediaList.find(media => media.id === file.file_id || (media.uniqueId && media.uniqueId === file.file_unique_id));
+  if (existing) {
+    return { media: existing, duplicate: true };
+  }
+
+  const sourceChat = message.chat.type === 'channel' ? message.chat : getForwardedChat(message);
+  const media = {
+    mediaId: generateMediaId(),
+    id: file.file_id,
+    uniqueId: file.file_unique_id,
+    type: kind,
+    caption: caption,
+    tags: tags,
+    meta: getFileMetadata(file),
+    uploadedBy: message.from ? message.from.id : null,
+    sourceChatId: sourceChat ? sourceChat.id : null,
+    addedAt: new Date().toISOString()
+  };
+  mediaList.push(media);
+  saveMediaStore(kind);
+  return { media: media, duplicate: false };
+}
+
+// Get the channel a message was forwarded from, if any
+function getForwardedChat(message) {
+  if (message.forward_origin) {
+    return message.forward_origin.type === 'channel' ? message.forward_origin.chat : null;
+  }
+  return message.forward_from_chat || null;
+}
+
+// Tags of a message: its hashtags, plus the tags of the source channel it
+// was forwarded from if that channel is registered with /addsource
+function getMessageTags(message) {
+  const forwardedChat = getForwardedChat(message);
+  const source = forwardedChat && sourceChannels[forwardedChat.id];
+  return [...new Set([...(source ? source.tags : []), ...extractHashtags(message.caption)])];
+}
+
+// Add the media of a message from admin to the collection of its kind.
+// Items of an album are collected and added together (see queueAlbumItem).
+function addMediaFromMessage(ctx, kind) {
+  const kindInfo = MEDIA_KINDS[kind];
+
+  if (!ctx.isEditor) {
+    // Don't answer every media message posted in groups the bot is in
+    if (ctx.chat.type === 'private') {
+      return ctx.reply('Only bot owners and editors can add ' + kindInfo.plural + '.');
+    }
+    return;
+  }
+
+  if (ctx.message.media_group_id) {
+    return queueAlbumItem(ctx, kind);
+  }
+
+  // Hashtags in the caption become the item's tags
+  const tags = getMessageTags(ctx.message);
+  const { media, duplicate } = addMediaItem(kind, ctx.message, tags, stripHashtags(ctx.message.caption));
+
+  if (duplicate) {
+    const addedDate = new Date(media.addedAt).toLocaleString();
+    return ctx.reply(`This ${kindInfo.label} already exists in the collection!\nIt was added on: ${addedDate}\nUse /list${kindInfo.commandPlural} to see all ${kindInfo.plural}.`);
+  }
+
+  logAudit(ctx, null, 'added ' + describeMediaIds(kind, [media]));
+  const tagInfo = tags.length > 0 ? ' Tags: ' + tags.map(tag => '#' + tag).join(' ') + '.' : '';
+  ctx.reply(`${capitalize(kindInfo.label)} added successfully!${tagInfo} Now you can use /list${kindInfo.commandPlural} to see all ${kindInfo.plural}.`);
+}
+
+// Telegram delivers the items of an album as separate messages that share a
+// media_group_id. They are collected until no new item came in for
+// ALBUM_WAIT_MS and then added in one go, with one summary reply.
+const ALBUM_WAIT_MS = 1500;
+const pendingAlbums = {};
+
+function queueAlbumItem(ctx, kind) {
+  const key = ctx.chat.id + ':' + ctx.message.media_group_id;
+  if (!pendingAlbums[key]) {
+    pendingAlbums[key] = { chatId: ctx.chat.id, items: [], timer: null };
+  }
+  const album = pendingAlbums[key];
+  album.items.push({ kind: kind, message: ctx.message });
+
+  clearTimeout(album.timer);
+  album.timer = setTimeout(() => {
+    delete pendingAlbums[key];
+    importAlbum(album);
+  }, ALBUM_WAIT_MS);
+}
+
+// Describe numbers of items per kind, e.g. "2 videos and 1 image"
+function describeKindCounts(counts) {
+  const parts = Object.entries(counts).map(([kind, count]) => count + ' ' + (count === 1 ? MEDIA_KINDS[kind].label : MEDIA_KINDS[kind].plural));
+  return parts.length > 1 ? parts.slice(0, -1).join(', ') + ' and ' + parts[parts.length - 1] : parts[0];
+}
+
+// Add the collected items of an album. Hashtags in any caption of the album
+// (usually only the first item has one) tag all of its items.
+function importAlbum(album) {
+  const items = album.items.sort((a, b) => a.message.message_id - b.message.message_id);
+  const tags = [...new Set(items.flatMap(item => getMessageTags(item.message)))];
+
+  const added = {};
+  const addedMedia = {};
+  let duplicates = 0;
+  for (const item of items) {
+    const result = addMediaItem(item.kind, item.message, tags, stripHashtags(item.message.caption));
+    if (result.duplicate) {
+      duplicates++;
+    } else {
+      added[item.kind] = (added[item.kind] || 0) + 1;
+      addedMedia[item.kind] = (addedMedia[item.kind] || []).concat(result.media);
+    }
+  }
+  for (const kind in addedMedia) {
+    logAudit(items[0].message, null, 'added ' + describeMediaIds(kind, addedMedia[kind]) + ' from an album');
+  }
+
+  const addedCount = items.length - duplicates;
+  const message = 'Imported an album of ' + items.length + ' items: ' +
+    (addedCount > 0 ? describeKindCounts(added) + ' added' : 'nothing new') +
+    (duplicates > 0 ? ', ' + duplicates + ' already in the collection' : '') + '.' +
+    (addedCount > 0 && tags.length > 0 ? ' Tags: ' + tags.map(tag => '#' + tag).join(' ') + '.' : '');
+  bot.telegram.sendMessage(album.chatId, message).catch((error) => {
+    console.error('Error sending album summary to chat ' + album.chatId + ':', error.message);
+  });
+}
+
+// Export archives sent to the bot with an /import caption are imported
+// instead of being added to the collection as documents
+bot.on('document', (ctx, next) => {
+  const caption = ctx.message.caption || '';
+  if (!/^\/import(@\w+)?(\s|$)/.test(caption)) {
+    return next();
+  }
+  return handleImport(ctx, ctx.message.document, caption.replace(/^\/import(@\w+)?/, ''));
+});
+
+// Handle media messages from admin. Animations are registered before
+// documents because Telegram also attaches a document to every animation.
+bot.on('video', (ctx) => addMediaFromMessage(ctx, 'video'));
+bot.on('photo', (ctx) => addMediaFromMessage(ctx, 'image'));
+bot.on('animation', (ctx) => addMediaFromMessage(ctx, 'animation'));
+bot.on('document', (ctx, next) => ctx.message.animation ? next() : addMediaFromMessage(ctx, 'document'));
+bot.on('audio', (ctx) => addMediaFromMessage(ctx, 'audio'));
+bot.on('voice', (ctx) => addMediaFromMessage(ctx, 'voice'));
+bot.on('video_note', (ctx) => addMediaFromMessage(ctx, 'video_note'));
+bot.on('sticker', (ctx) => addMediaFromMessage(ctx, 'sticker'));
+
+// New posts in registered source channels are added to the collection,
+// tagged with the channel's tags and their own hashtags. Duplicates are skipped.
+bot.on('channel_post', (ctx, next) => {
+  const source = sourceChannels[ctx.chat.id];
+  const post = ctx.channelPost;
+  const kind = source ? getMessageMediaKind(post) : null;
+  if (!kind) {
+    return next();
+  }
+
+  const tags = [...new Set([...source.tags, ...extractHashtags(post.caption)])];
+  const { media, duplicate } = addMediaItem(kind, post, tags, stripHashtags(post.caption));
+  console.log((duplicate ? 'Skipped duplicate ' : 'Added ') + kind + ' ' + media.mediaId + ' from source channel ' + ctx.chat.id);
+});
+
+// Find the channel an /addsource or /removesource command refers to: an
+// @username or chat ID after the command, or the channel a replied-to
+// message was forwarded from
+async function resolveSourceChannel(ctx, arg) {
+  if (!arg) {
+    const replied = ctx.message.reply_to_message;
+    return replied ? getForwardedChat(replied) : null;
+  }
+  try {
+    return await ctx.telegram.getChat(/^-?\d+$/.test(arg) ? arg : '@' + arg.replace(/^@/, ''));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Turn a channel username into a tag, e.g. @Funny_Videos -> funny_videos
+function getChannelTag(chat) {
+  return chat.username ? chat.username.toLowerCase() : null;
+}
+
+// Owner command to register a source channel:
+// /addsource @channel #tag1 #tag2, or in reply to a post forwarded from it.
+// Without tags, the channel's username becomes its tag.
+bot.command('addsource', async (ctx) => {
+  if (!ctx.isOwner) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  const args = (ctx.payload || '').trim().split(/\s+/).filter(Boolean);
+  const channelArg = args.length > 0 && !args[0].startsWith('#') ? args.shift() : null;
+  const chat = await resolveSourceChannel(ctx, channelArg);
+  if (!chat && channelArg) {
+    return ctx.reply('Could not find ' + channelArg + '. Add the bot to the channel as an admin first.');
+  }
+  if (!chat) {
+    return ctx.reply('Usage: /addsource @channel #tag1 #tag2, or send it in reply to a post forwarded from the channel.\n' +
+      'Without tags, the channel\'s username is used as its tag.');
+  }
+  if (chat.type !== 'channel') {
+    return ctx.reply('That is not a channel. Only channels can be sources.');
+  }
+
+  // Bots only get the posts of channels they are an admin of
+  try {
+    const member = await ctx.telegram.getChatMember(chat.id, ctx.botInfo.id);
+    if (member.status !== 'administrator') {
+      return ctx.reply('Add the bot to ' + (chat.title || chat.id) + ' as an admin first, so it receives the channel\'s posts.');
+    }
+  } catch (error) {
+    return ctx.reply('The bot can\'t see ' + (chat.title || chat.id) + '. Add it to the channel as an admin first.');
+  }
+
+  const tags = extractHashtags(args.join(' '));
+  if (tags.length === 0 && getChannelTag(chat)) {
+    tags.push(getChannelTag(chat));
+  }
+
+  sourceChannels[chat.id] = {
+    title: chat.title || String(chat.id),
+    tags: tags,
+    addedAt: new Date().toISOString(),
+    addedBy: ctx.from.id
+  };
+  saveSourceChannels();
+  logAudit(ctx, null, 'added source channel ' + sourceChannels[chat.id].title + ' (' + chat.id + ')' +
+    (tags.length > 0 ? ' with the tags ' + tags.map(tag => '#' + tag).join(' ') : ''));
+
+  ctx.reply('New media posted in ' + sourceChannels[chat.id].title + ' will be added to the collection' +
+    (tags.length > 0 ? ' with the tags ' + tags.map(tag => '#' + tag).join(' ') : ' without tags') + '.\n' +
+    'Posts from before now are not imported; forward them to the bot to add them.');
+});
+
+// Owner command to stop taking media from a source channel
+bot.command('removesource', async (ctx) => {
+  if (!ctx.isOwner) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  const arg = (ctx.payload || '').trim();
+  // Sources can be removed by ID even if the bot can't see the channel anymore
+  const chatId = sourceChannels[arg] ? arg : ((await resolveSourceChannel(ctx, arg)) || {}).id;
+  if (!chatId || !sourceChannels[chatId]) {
+    return ctx.reply('Usage: /removesource @channel or /removesource chatId\nUse /sources to see the registered channels.');
+  }
+
+  const title = sourceChannels[chatId].title;
+  delete sourceChannels[chatId];
+  saveSourceChannels();
+  logAudit(ctx, null, 'removed source channel ' + title + ' (' + chatId + ')');
+  ctx.reply('Media posted in ' + title + ' is no longer added to the collection. Items added from it so far are kept.');
+});
+
+// Admin command to list the source channels
+bot.command('sources', (ctx) => {
+  if (!ctx.isEditor) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  const entries = Object.entries(sourceChannels);
+  if (entries.length === 0) {
+    return ctx.reply('No source channels yet. Bot owners can add one with /addsource @channel #tag.');
+  }
+  ctx.reply('Source channels:\n' + entries
+    .map(([chatId, source]) => '- ' + source.title + ' (' + chatId + ')' + (source.tags.length > 0 ? ': ' + source.tags.map(tag => '#' + tag).join(' ') : ''))
+    .join('\n'));
+});
+
+// Media kinds of the files in the local media folder, by file extension.
+// Files with other extensions are ignored.
+const LOCAL_MEDIA_EXTENSIONS = {
+  '.mp4': 'video', '.mov': 'video', '.m4v': 'video', '.mkv': 'video', '.webm': 'video',
+  '.jpg': 'image', '.jpeg': 'image', '.png': 'image', '.webp': 'image',
+  '.gif': 'animation',
+  '.mp3': 'audio', '.m4a': 'audio', '.flac': 'audio', '.wav': 'audio',
+  '.ogg': 'voice', '.oga': 'voice', '.opus': 'voice',
+  '.pdf': 'document', '.epub': 'document', '.zip': 'document', '.txt': 'document'
+};
+
+// What to give Telegram to send a media item: its file ID, or the file
+// itself for a local file that hasn't been uploaded yet
+function getMediaInput(media) {
+  return media.id || { source: path.join(localMediaDir, media.localPath) };
+}
+
+// Keep the file ID Telegram returned for a local file it was just sent
+// from, so later sends don't upload the file again
+function cacheUploadedFile(media, message) {
+  if (media.id || !media.localPath || !message) {
+    return;
+  }
+  // Telegram may send a file as another kind (e.g. an .ogg that isn't
+  // Opus as audio); such files are uploaded every time
+  const file = media.type === 'image' ? (message.photo || []).slice(-1)[0] : message[media.type];
+  if (!file) {
+    return;
+  }
+  media.id = file.file_id;
+  media.uniqueId = file.file_unique_id;
+  media.meta = Object.assign({}, media.meta, getFileMetadata(file));
+  saveLocalMedia();
+}
+
+// Turn a folder name into a tag, e.g. "Funny Cats" -> funny_cats
+function getFolderTag(name) {
+  return name.toLowerCase().replace(/[^\p{L}\p{N}_]+/gu, '_').replace(/^_+|_+$/g, '');
+}
+
+// List the media files in a folder of the local media folder and its
+// subfolders, as paths relative to the local media folder with / as separator.
+// Hidden files and folders are skipped.
+function listLocalFiles(dir = localMediaDir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) {
+      continue;
+    }
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listLocalFiles(fullPath));
+    } else if (entry.isFile() && LOCAL_MEDIA_EXTENSIONS[path.extname(entry.name).toLowerCase()]) {
+      files.push(path.relative(localMediaDir, fullPath).split(path.sep).join('/'));
+    }
+  }
+  return files;
+}
+
+// Bring the local media list in line with the folder: add new files, drop
+// removed ones and forget the file ID of changed ones so they are uploaded
+// again. Each folder a file is in becomes one of its tags. Returns the
+// numbers of added, removed and changed files.
+function scanLocalMedia() {
+  const found = {};
+  for (const localPath of listLocalFiles()) {
+    try {
+      const stat = fs.statSync(path.join(localMediaDir, localPath));
+      found[localPath] = { size: stat.size, modifiedAt: stat.mtime.toISOString() };
+    } catch (error) {
+      // The file was removed while scanning
+    }
+  }
+
+  const kept = localMedia.filter(media => found[media.localPath]);
+  const result = { added: 0, removed: localMedia.length - kept.length, changed: 0 };
+  localMedia = kept;
+
+  for (const localPath in found) {
+    const file = found[localPath];
+    const existing = localMedia.find(media => media.localPath === localPath);
+    if (!existing) {
+      localMedia.push({
+        mediaId: generateMediaId(),
+        id: null,
+        type: LOCAL_MEDIA_EXTENSIONS[path.posix.extname(localPath).toLowerCase()],
+        caption: '',
+        tags: [...new Set(localPath.split('/').slice(0, -1).map(getFolderTag).filter(Boolean))],
+        meta: { fileSize: file.size, fileName: path.posix.basename(localPath) },
+        localPath: localPath,
+        size: file.size,
+        modifiedAt: file.modifiedAt,
+        addedAt: new Date().toISOString()
+      });
+      result.added++;
+    } else if (existing.size !== file.size || existing.modifiedAt !== file.modifiedAt) {
+      existing.id = null;
+      delete existing.uniqueId;
+      existing.meta = { fileSize: file.size, fileName: path.posix.basename(localPath) };
+      existing.size = file.size;
+      existing.modifiedAt = file.modifiedAt;
+      result.changed++;
+    }
+  }
+
+  saveLocalMedia();
+  return result;
+}
+
+// Describe the local media files, e.g. "3 videos and 2 images, 4 uploaded"
+function describeLocalMedia() {
+  if (localMedia.length === 0) {
+    return 'no files';
+  }
+  const counts = {};
+  for (const media of localMedia) {
+    counts[media.type] = (counts[media.type] || 0) + 1;
+  }
+  return describeKindCounts(counts) + ', ' + localMedia.filter(media => media.id).length + ' uploaded';
+}
+
+// Owner command to pick up files added to, changed in or removed from the
+// local media folder
+bot.command('rescan', (ctx) => {
+  if (!ctx.isOwner) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+  if (!fs.existsSync(localMediaDir) && localMedia.length === 0) {
+    return ctx.reply('The local media folder ' + localMediaDir + ' does not exist. Create it and put files in subfolders named after their tags, e.g. ' +
+      path.join(localMediaDir, 'cats', 'photo.jpg') + '.');
+  }
+
+  const result = scanLocalMedia();
+  logAudit(ctx, null, 'rescanned the local media folder: ' + result.added + ' new, ' + result.changed + ' changed, ' + result.removed + ' removed');
+  ctx.reply('Rescanned ' + localMediaDir + ': ' + result.added + ' new, ' + result.changed + ' changed, ' + result.removed + ' removed.\n' +
+    'Local files: ' + describeLocalMedia() + '.');
+});
+
+// Remember the groups and channels the bot is added to or removed from, so
+// they can be managed from a private chat with /chats. Channels can't send
+// the bot commands, so that's the only way to schedule posts in them.
+bot.on('my_chat_member', (ctx) => {
+  const chat = ctx.myChatMember.chat;
+  if (chat.type === 'private') {
+    return;
+  }
+
+  const member = ctx.myChatMember.new_chat_member;
+  const joined = ['creator', 'administrator', 'member'].includes(member.status) ||
+    (member.status === 'restricted' && member.is_member);
+  chatSettings[chat.id] = Object.assign({}, chatSettings[chat.id], { title: chat.title, type: chat.type, joined: joined });
+  saveChatSettings();
+  console.log((joined ? 'Bot is now in ' : 'Bot was removed from ') + chat.type + ' ' + chat.id + ' (' + chat.title + ')');
+});
+
+// When a group is upgraded to a supergroup, Telegram posts a service message
+// in the old group; move its schedules right away instead of waiting for a send to fail
+bot.on('migrate_to_chat_id', (ctx) => {
+  migrateChat(ctx.chat.id, ctx.message.migrate_to_chat_id);
+});
+
+// Move media items of one kind to the trash by their (0-based) indices.
+// 'ctx' is the update the deletion came from (null for the admin API), to
+// name who deleted them. Returns the deleted items.
+function moveMediaToTrash(kind, indices, ctx) {
+  // Delete from the end so the remaining indices stay valid
+  const sortedIndices = [...new Set(indices)].sort((a, b) => b - a);
+  const deletedMedia = sortedIndices.map(index => mediaStores[kind].splice(index, 1)[0]).reverse();
+  saveMediaStore(kind);
+
+  // Items deleted together go to the top of the trash in their old order.
+  // Their position is kept so restoring them gives them their numbers back.
+  const deletedAt = new Date().toISOString();
+  const deletedBy = getAuditUser(ctx);
+  const positions = [...sortedIndices].reverse();
+  trash.unshift(...deletedMedia.map((media, i) => ({ kind: kind, media: media, position: positions[i], deletedAt: deletedAt, deletedBy: deletedBy })));
+  saveTrash();
+  return deletedMedia;
+}
+
+// Delete media items of one kind by their (0-based) indices, moving them to
+// the trash, and record the deletion in the audit log. Returns the deleted items.
+function deleteMedia(kind, indices, ctx) {
+  const deletedMedia = moveMediaToTrash(kind, indices, ctx);
+  logAudit(ctx, null, 'deleted ' + describeMediaIds(kind, deletedMedia));
+  return deletedMedia;
+}
+
+// Describe deleted or restored items by their permanent IDs, e.g. "2 videos (1a2b3c4d, 5e6f7a8b)"
+function describeMediaIds(kind, mediaItems) {
+  const label = mediaItems.length === 1 ? MEDIA_KINDS[kind].label : mediaItems.length + ' ' + MEDIA_KINDS[kind].plural;
+  return label + ' (' + mediaItems.map(media => media.mediaId).join(', ') + ')';
+}
+
+// When an item in the trash is deleted for good
+function getTrashExpiry(entry) {
+  return new Date(entry.deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// Delete items that have been in the trash longer than TRASH_RETENTION_DAYS
+// for good. Returns how many were removed.
+function purgeExpiredTrash() {
+  const now = Date.now();
+  const kept = trash.filter(entry => getTrashExpiry(entry) > now);
+  const purged = trash.length - kept.length;
+  if (purged > 0) {
+    trash = kept;
+    saveTrash();
+    console.log('Deleted ' + purged + ' item(s) from the trash for good');
+  }
+  return purged;
+}
+
+// Put items of the trash back into the collection by their (0-based) indices
+// in the trash. Items go back to their old position where possible. Items
+// whose file was added to the collection again in the meantime stay in the
+// trash. Returns the restored entries and the ones that are duplicates.
+function restoreFromTrash(indices) {
+  const restored = [];
+  const duplicates = [];
+
+  // Going through the trash from the top undoes the deletions in reverse, so
+  // every item's position refers to the list as it was when it was deleted
+  const selected = [...new Set(indices)].sort((a, b) => a - b).map(index => trash[index]);
+  for (const entry of selected) {
+    const mediaList = mediaStores[entry.kind];
+    const media = entry.media;
+    if (mediaList.some(item => item.mediaId === media.mediaId || item.id === media.id || (media.uniqueId && item.uniqueId === media.uniqueId))) {
+      duplicates.push(entry);
+      continue;
+    }
+    mediaList.splice(Math.min(entry.position, mediaList.length), 0, media);
+    restored.push(entry);
+  }
+
+  trash = trash.filter(entry => !restored.includes(entry));
+  for (const kind of new Set(restored.map(entry => entry.kind))) {
+    saveMediaStore(kind);
+  }
+  saveTrash();
+  return { restored: restored, duplicates: duplicates };
+}
+
+// Describe an item in the trash for /trash, e.g.
+// "1. video 1a2b3c4d (Sunday vibes) - deleted 19 Oct 2026 14:03 by @alice, 29 days left"
+function describeTrashEntry(entry, number) {
+  let description = number + '. ' + MEDIA_KINDS[entry.kind].label + ' ' + entry.media.mediaId;
+  if (entry.media.caption) {
+    const caption = entry.media.caption.replace(/\s+/g, ' ');
+    description += ' (' + (caption.length > 30 ? caption.substring(0, 30) + '...' : caption) + ')';
+  }
+  const daysLeft = Math.max(Math.ceil((getTrashExpiry(entry) - Date.now()) / (24 * 60 * 60 * 1000)), 0);
+  return description + ' - deleted ' + DateTime.fromISO(entry.deletedAt, { zone: DEFAULT_TIMEZONE }).toFormat('dd LLL yyyy HH:mm') +
+    ' by ' + entry.deletedBy + ', ' + daysLeft + (daysLeft === 1 ? ' day' : ' days') + ' left';
+}
+
+// Replace the tags of a media item. 'ctx' is the update the change came
+// from (null for the admin API), for the audit log.
+function setMediaTags(kind, index, tags, ctx) {
+  mediaStores[kind][index].tags = tags;
+  saveMediaStore(kind);
+  logAudit(ctx, null, 'set the tags of ' + describeMediaIds(kind, [mediaStores[kind][index]]) + ' to ' +
+    (tags.length > 0 ? tags.map(tag => '#' + tag).join(' ') : 'none'));
+}
+
+// Replace the caption of a media item (see setMediaTags for 'ctx')
+function setMediaCaption(kind, index, caption, ctx) {
+  mediaStores[kind][index].caption = caption;
+  saveMediaStore(kind);
+  logAudit(ctx, null, (caption ? 'changed' : 'removed') + ' the caption of ' + describeMediaIds(kind, [mediaStores[kind][index]]));
+}
+
+// Parse which items a delete command refers to: a range (1-3), a list (1,3,5)
+// or a single number, all 1-based. Returns 0-based indices, or an error message.
+function parseDeleteIndices(text, listLength) {
+  let indicesToDelete = [];
+  
+  // Check if it's a range (e.g., 1-3)
+  if (text.includes('-')) {
+    const range = text.split('-');
+    if (range.length === 2 && !isNaN(range[0]) && !isNaN(range[1])) {
+      const start = parseInt(range[0]) - 1; // Convert to 0-based index
+      const end = parseInt(range[1]) - 1;   // Convert to 0-based index
+      
+      if (start >= 0 && end < listLength && start <= end) {
+        for (let i = start; i <= end; i++) {
+          indicesToDelete.push(i);
+        }
+      } else {
+        return { error: 'Invalid range. Please check the indices and try again.' };
+      }
+    } else {
+      return { error: 'Invalid range format.' };
+    }
+  } 
+  // Check if it's a list of indices (e.g., 1,3,5)
+  else if (text.includes(',')) {
+    const indices = text.split(',');
+    for (const index of indices) {
+      const idx = parseInt(index.trim()) - 1; // Convert to 0-based index
+      if (idx >= 0 && idx < listLength) {
+        indicesToDelete.push(idx);
+      }
+    }
+    
+    if (indicesToDelete.length !== indices.length) {
+      return { error: 'One or more indices are invalid. Please check and try again.' };
+    }
+  } 
+  // Check if it's a single index
+  else if (!isNaN(text)) {
+    const index = parseInt(text) - 1; // Convert to 0-based index
+    if (index >= 0 && index < listLength) {
+      indicesToDelete.push(index);
+    } else {
+      return { error: 'Invalid index. Please check and try again.' };
+    }
+  } else {
+    return { error: 'Invalid format.' };
+  }
+
+  return { indices: [...new Set(indicesToDelete)] };
+}
+
+// Register the list and delete commands of every media kind
+for (const kind in MEDIA_KINDS) {
+  const kindInfo = MEDIA_KINDS[kind];
+  const deleteExamples = `/delete${kindInfo.commandPlural} 1-3 (deletes ${kindInfo.plural} 1 to 3)\n/delete${kindInfo.commandPlural} 1,3,5 (deletes ${kindInfo.plural} 1, 3, and 5)`;
+
+  // Admin command to browse the media of this kind, optionally filtered
+  // by tags (e.g. /listvideos #funny -#nsfw)
+  bot.command('list' + kindInfo.commandPlural, (ctx) => {
+    if (!ctx.isEditor) {
+      return ctx.reply('You are not authorized to use this command.');
+    }
+
+    const tagFilter = parseTagFilter(ctx.payload);
+    const hasTagFilter = tagFilter.include.length > 0 || tagFilter.exclude.length > 0;
+    ctx.session = ctx.session || {};
+    ctx.session.browser = { kind: kind, tagFilter: hasTagFilter ? { include: tagFilter.include, exclude: tagFilter.exclude } : null };
+
+    showBrowserItem(ctx, kind, 0, null);
+  });
+
+  // Admin command to delete multiple items
+  bot.command('delete' + kindInfo.commandPlural, (ctx) => {
+    if (!ctx.isOwner) {
+      return ctx.reply('Only bot owners can delete media.');
+    }
+
+    const mediaList = mediaStores[kind];
+    if (mediaList.length === 0) {
+      return ctx.reply(`No ${kindInfo.plural} to delete.`);
+    }
+
+    const text = (ctx.payload || '').trim();
+    
+    if (!text) {
+      return ctx.reply(`Please specify ${kindInfo.plural} to delete. Examples:\n` + deleteExamples);
+    }
+
+    const result = parseDeleteIndices(text, mediaList.length);
+    if (result.error) {
+      return ctx.reply(result.error + ' Examples:\n' + deleteExamples);
+    }
+
+    const deletedMedia = deleteMedia(kind, result.indices, ctx);
+    
+    ctx.reply('Moved ' + deletedMedia.length + ' ' + (deletedMedia.length === 1 ? kindInfo.label : kindInfo.plural) + ' to the trash. ' +
+      'Undo with /restore ' + (deletedMedia.length === 1 ? '1' : '1-' + deletedMedia.length) + ', see /trash.');
+  });
+}
+
+// Most items /trash lists at once
+const MAX_TRASH_LINES = 30;
+
+// Owner command to list the deleted items in the trash, latest deletion first
+bot.command('trash', (ctx) => {
+  if (!ctx.isOwner) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  purgeExpiredTrash();
+  if (trash.length === 0) {
+    return ctx.reply('The trash is empty. Deleted media is kept there for ' + TRASH_RETENTION_DAYS + ' days.');
+  }
+
+  const lines = trash.slice(0, MAX_TRASH_LINES).map((entry, index) => describeTrashEntry(entry, index + 1));
+  ctx.reply('Trash (' + trash.length + ' item(s), kept for ' + TRASH_RETENTION_DAYS + ' days):\n' + lines.join('\n') +
+    (trash.length > MAX_TRASH_LINES ? '\n... and ' + (trash.length - MAX_TRASH_LINES) + ' more' : '') + '\n\n' +
+    'Restore items with /restore 1, /restore 1-3, /restore 1,4 or /restore all. /emptytrash deletes them for good.');
+});
+
+// Owner command to put items from the trash back into the collection:
+// /restore 1-3, /restore 1,4 or /restore all (numbers as in /trash)
+bot.command('restore', (ctx) => {
+  if (!ctx.isOwner) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  purgeExpiredTrash();
+  if (trash.length === 0) {
+    return ctx.reply('The trash is empty.');
+  }
+
+  const text = (ctx.payload || '').trim().toLowerCase();
+  const examples = 'Examples:\n/restore 1 (the item deleted last)\n/restore 1-3\n/restore 1,4\n/restore all\nSee /trash for the numbers.';
+  if (!text) {
+    return ctx.reply('Please specify the items to restore. ' + examples);
+  }
+  const result = text === 'all' ? { indices: trash.map((entry, index) => index) } : parseDeleteIndices(text, trash.length);
+  if (result.error) {
+    return ctx.reply(result.error + ' ' + examples);
+  }
+
+  const { restored, duplicates } = restoreFromTrash(result.indices);
+  const counts = {};
+  for (const entry of restored) {
+    counts[entry.kind] = (counts[entry.kind] || 0) + 1;
+  }
+  for (const kind in counts) {
+    logAudit(ctx, null, 'restored ' + describeMediaIds(kind, restored.filter(entry => entry.kind === kind).map(entry => entry.media)));
+  }
+
+  let message = restored.length > 0 ? 'Restored ' + describeKindCounts(counts) + '.' : 'Nothing was restored.';
+  if (duplicates.length > 0) {
+    message += '\n' + duplicates.length + ' item(s) stayed in the trash because the same file was added to the collection again.';
+  }
+  ctx.reply(message);
+});
+
+// Owner command to delete everything in the trash for good:
+// /emptytrash shows what would be deleted, /emptytrash confirm deletes it
+bot.command('emptytrash', (ctx) => {
+  if (!ctx.isOwner) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  purgeExpiredTrash();
+  if (trash.length === 0) {
+    return ctx.reply('The trash is empty.');
+  }
+
+  if ((ctx.payload || '').trim().toLowerCase() !== 'confirm') {
+    return ctx.reply('This deletes the ' + trash.length + ' item(s) in the trash for good; they can\'t be restored afterwards. ' +
+      'Send /emptytrash confirm to go ahead.');
+  }
+
+  const count = trash.length;
+  trash = [];
+  saveTrash();
+  logAudit(ctx, null, 'emptied the trash (' + count + ' item(s))');
+  ctx.reply('Deleted ' + count + ' item(s) from the trash for good.');
+});
+
+
+// Media browser: /list<kind> shows one item at a time with buttons to page
+// through the collection and to edit, send or delete the shown item. Its
+// callback data starts with 'br:'; the kind and tag filter being browsed are
+// kept in the session.
+
+// Kinds whose browser message can be switched to another item in place.
+// The others are deleted and sent again when paging.
+const BROWSER_EDIT_TYPES = { video: 'video', image: 'photo', animation: 'animation', document: 'document', audio: 'audio' };
+
+// Indices (into the kind's store) of the items the browser shows
+function getBrowserIndices(ctx, kind) {
+  const browser = ctx.session && ctx.session.browser;
+  const tagFilter = browser && browser.kind === kind ? browser.tagFilter : null;
+  const indices = [];
+  mediaStores[kind].forEach((media, index) => {
+    if (matchesTagFilter(media, tagFilter)) {
+      indices.push(index);
+    }
+  });
+  return indices;
+}
+
+// Position in the browser of a media item, or of the item after it if the
+// item is no longer shown (e.g. because it was deleted)
+function getBrowserPosition(ctx, kind, index) {
+  const indices = getBrowserIndices(ctx, kind);
+  const position = indices.findIndex(shownIndex => shownIndex >= index);
+  return position === -1 ? indices.length - 1 : position;
+}
+
+// Describe a media item for the browser
+function describeBrowserItem(kind, index, position, total) {
+  const media = mediaStores[kind][index];
+  let text = capitalize(MEDIA_KINDS[kind].label) + ' ' + (index + 1) +
+    (total !== mediaStores[kind].length ? ' (' + (position + 1) + ' of ' + total + ' shown)' : ' of ' + total) + '\n';
+  if (media.caption) {
+    // Leave room for the other lines within Telegram's 1024 character caption limit
+    text += 'Caption: ' + (media.caption.length > 800 ? media.caption.substring(0, 800) + '...' : media.caption) + '\n';
+  }
+  if (getMediaTags(media).length > 0) {
+    text += 'Tags: ' + getMediaTags(media).map(tag => '#' + tag).join(' ') + '\n';
+  }
+  const meta = media.meta || {};
+  const details = [];
+  if (meta.duration !== undefined) {
+    details.push(formatSeconds(meta.duration));
+  }
+  if (meta.width !== undefined) {
+    details.push(meta.width + 'x' + meta.height);
+  }
+  if (meta.fileSize !== undefined) {
+    details.push(formatFileSize(meta.fileSize));
+  }
+  if (details.length > 0) {
+    text += 'File: ' + details.join(', ') + '\n';
+  }
+  text += 'Added: ' + (media.addedAt ? new Date(media.addedAt).toLocaleString() : 'unknown') + '\n';
+  text += 'ID: ' + media.mediaId;
+  return text;
+}
+
+// Buttons of the browser: paging, then the actions the user's role allows
+function browserKeyboard(ctx, kind, media, position, total) {
+  const go = (target) => 'br:go:' + kind + ':' + target;
+  const rows = [[
+    { text: '«', callback_data: go(0) },
+    { text: '‹', callback_data: go(Math.max(position - 1, 0)) },
+    { text: (position + 1) + '/' + total, callback_data: 'br:info:' + media.mediaId },
+    { text: '›', callback_data: go(Math.min(position + 1, total - 1)) },
+    { text: '»', callback_data: go(total - 1) }
+  ]];
+
+  const actions = [];
+  if (MEDIA_KINDS[kind].caption) {
+    actions.push({ text: '✏️ Caption', callback_data: 'br:cap:' + media.mediaId });
+  }
+  actions.push({ text: '🏷 Tags', callback_data: 'br:tag:' + media.mediaId });
+  rows.push(actions);
+
+  if (ctx.isOwner) {
+    rows.push([
+      { text: '📤 Send to group', callback_data: 'br:send:' + media.mediaId },
+      { text: '🗑 Delete', callback_data: 'br:del:' + media.mediaId }
+    ]);
+  }
+  return { inline_keyboard: rows };
+}
+
+// Show the item at 'position' of the browser. With 'message' ({ chatId,
+// messageId }) that browser message is replaced, otherwise a new one is sent.
+async function showBrowserItem(ctx, kind, position, message) {
+  const kindInfo = MEDIA_KINDS[kind];
+  const indices = getBrowserIndices(ctx, kind);
+  const chatId = message ? message.chatId : ctx.chat.id;
+
+  if (indices.length === 0) {
+    if (message) {
+      await ctx.telegram.deleteMessage(chatId, message.messageId).catch(() => {});
+    }
+    const browser = ctx.session && ctx.session.browser;
+    const tagFilter = browser && browser.kind === kind ? browser.tagFilter : null;
+    return ctx.telegram.sendMessage(chatId, tagFilter ? `No ${kindInfo.plural} ${describeTagFilter(tagFilter)}.` : `No ${kindInfo.plural} added yet.`);
+  }
+
+  position = Math.min(Math.max(position, 0), indices.length - 1);
+  const index = indices[position];
+  const media = mediaStores[kind][index];
+  const caption = describeBrowserItem(kind, index, position, indices.length);
+  const replyMarkup = browserKeyboard(ctx, kind, media, position, indices.length);
+
+  try {
+    if (message && BROWSER_EDIT_TYPES[kind]) {
+      return await ctx.telegram.editMessageMedia(chatId, message.messageId, undefined, {
+        type: BROWSER_EDIT_TYPES[kind],
+        media: media.id,
+        caption: caption
+      }, { reply_markup: replyMarkup });
+    }
+
+    if (message) {
+      await ctx.telegram.deleteMessage(chatId, message.messageId).catch(() => {});
+    }
+    const options = { reply_markup: replyMarkup };
+    if (kindInfo.caption) {
+      options.caption = caption;
+    }
+    return await ctx.telegram[kindInfo.sendMethod](chatId, media.id, options);
+  } catch (error) {
+    // Paging to the item that is already shown changes nothing
+    if (error.response && /message is not modified/.test(error.response.description)) {
+      return;
+    }
+    console.error('Error showing ' + kindInfo.label + ' ' + media.mediaId + ' in the browser:', error);
+    return ctx.telegram.sendMessage(chatId, 'Could not show ' + kindInfo.label + ' ' + (index + 1) + ': ' + (error.response ? error.response.description : error.message));
+  }
+}
+
+// The browser message a callback query came from
+function getBrowserMessage(ctx) {
+  return { chatId: ctx.callbackQuery.message.chat.id, messageId: ctx.callbackQuery.message.message_id };
+}
+
+// Find the media item a browser button refers to, answering the callback if it's gone
+function findBrowserMedia(ctx, mediaId) {
+  const found = findMediaById(mediaId);
+  if (!found) {
+    ctx.answerCbQuery('This item no longer exists.');
+  }
+  return found;
+}
+
+// Browser buttons need the editor role; checked here as callbacks skip the commands' checks
+function onlyBrowserEditors(ctx, next) {
+  if (!ctx.isEditor) {
+    return ctx.answerCbQuery('You are not authorized to use this browser.');
+  }
+  return next();
+}
+
+// Page through the browser
+bot.action(/^br:go:([a-z_]+):(\d+)$/, onlyBrowserEditors, async (ctx) => {
+  const kind = ctx.match[1];
+  if (!MEDIA_KINDS[kind]) {
+    return ctx.answerCbQuery();
+  }
+  await ctx.answerCbQuery();
+  await showBrowserItem(ctx, kind, parseInt(ctx.match[2]), getBrowserMessage(ctx));
+});
+
+// The counter button shows the item's details, also for kinds without captions
+bot.action(/^br:info:([0-9a-f]+)$/, onlyBrowserEditors, (ctx) => {
+  const found = findBrowserMedia(ctx, ctx.match[1]);
+  if (found) {
+    const position = getBrowserPosition(ctx, found.kind, found.index);
+    const details = describeBrowserItem(found.kind, found.index, position, getBrowserIndices(ctx, found.kind).length);
+    // Alerts show at most 200 characters
+    ctx.answerCbQuery(details.length > 200 ? details.substring(0, 197) + '...' : details, { show_alert: true });
+  }
+});
+
+// Ask for a new caption or new tags; the answer is handled by the text handler
+function askForMediaEdit(ctx, field) {
+  const found = findBrowserMedia(ctx, ctx.match[1]);
+  if (!found) {
+    return;
+  }
+  const kindInfo = MEDIA_KINDS[found.kind];
+
+  ctx.session = ctx.session || {};
+  ctx.session.pendingMediaEdit = { mediaId: found.media.mediaId, field: field, message: getBrowserMessage(ctx) };
+  ctx.answerCbQuery();
+  ctx.reply(field === 'caption'
+    ? 'Send the new caption for ' + kindInfo.label + ' ' + (found.index + 1) + ', or - to remove it. /cancel keeps the current one.'
+    : 'Send the new tags for ' + kindInfo.label + ' ' + (found.index + 1) + ' (e.g. #funny #cats), or - to remove all tags. /cancel keeps the current ones.');
+}
+
+bot.action(/^br:cap:([0-9a-f]+)$/, onlyBrowserEditors, (ctx) => askForMediaEdit(ctx, 'caption'));
+bot.action(/^br:tag:([0-9a-f]+)$/, onlyBrowserEditors, (ctx) => askForMediaEdit(ctx, 'tags'));
+
+// Apply a caption or tags sent after pressing ✏️ Caption or 🏷 Tags, then
+// update the browser message
+function handleMediaEditReply(ctx) {
+  const edit = ctx.session.pendingMediaEdit;
+  delete ctx.session.pendingMediaEdit;
+
+  const text = ctx.message.text.trim();
+  const found = findMediaById(edit.mediaId);
+  if (!found) {
+    return ctx.reply('This item no longer exists.');
+  }
+  const label = MEDIA_KINDS[found.kind].label + ' ' + (found.index + 1);
+
+  if (edit.field === 'caption') {
+    setMediaCaption(found.kind, found.index, text === '-' ? '' : text, ctx);
+    ctx.reply(text === '-' ? 'Removed the caption of ' + label + '.' : 'Updated the caption of ' + label + '.');
+  } else {
+    const tags = text === '-' ? [] : extractHashtags(text);
+    if (text !== '-' && tags.length === 0) {
+      ctx.session.pendingMediaEdit = edit;
+      return ctx.reply('Please send tags as hashtags, e.g. #funny #cats, or - to remove all tags.');
+    }
+    setMediaTags(found.kind, found.index, tags, ctx);
+    ctx.reply(capitalize(label) + (tags.length > 0 ? ' is now tagged ' + tags.map(tag => '#' + tag).join(' ') + '.' : ' no longer has any tags.'));
+  }
+
+  showBrowserItem(ctx, found.kind, getBrowserPosition(ctx, found.kind, found.index), edit.message);
+}
+
+// Owner buttons: delete (after confirmation) and send to a group
+function onlyBrowserOwners(ctx, next) {
+  if (!ctx.isOwner) {
+    return ctx.answerCbQuery('Only bot owners can do this.');
+  }
+  return next();
+}
+
+// Ask for confirmation before deleting
+bot.action(/^br:del:([0-9a-f]+)$/, onlyBrowserOwners, (ctx) => {
+  const found = findBrowserMedia(ctx, ctx.match[1]);
+  if (!found) {
+    return;
+  }
+  ctx.answerCbQuery('Delete ' + MEDIA_KINDS[found.kind].label + ' ' + (found.index + 1) + '?');
+  ctx.editMessageReplyMarkup({
+    inline_keyboard: [[
+      { text: '✅ Yes, delete', callback_data: 'br:delok:' + found.media.mediaId },
+      { text: '✖ Cancel', callback_data: 'br:back:' + found.media.mediaId }
+    ]]
+  });
+});
+
+bot.action(/^br:delok:([0-9a-f]+)$/, onlyBrowserOwners, async (ctx) => {
+  const found = findBrowserMedia(ctx, ctx.match[1]);
+  if (!found) {
+    return;
+  }
+  deleteMedia(found.kind, [found.index], ctx);
+  await ctx.answerCbQuery(capitalize(MEDIA_KINDS[found.kind].label) + ' moved to the trash.');
+  // Show the item that took its place
+  await showBrowserItem(ctx, found.kind, getBrowserPosition(ctx, found.kind, found.index), getBrowserMessage(ctx));
+});
+
+// Go back to the normal buttons (after Cancel)
+bot.action(/^br:back:([0-9a-f]+)$/, onlyBrowserEditors, async (ctx) => {
+  const found = findBrowserMedia(ctx, ctx.match[1]);
+  if (!found) {
+    return;
+  }
+  await ctx.answerCbQuery();
+  const indices = getBrowserIndices(ctx, found.kind);
+  const position = getBrowserPosition(ctx, found.kind, found.index);
+  await ctx.editMessageReplyMarkup(browserKeyboard(ctx, found.kind, found.media, position, indices.length));
+});
+
+// Groups and channels the bot posts to or has settings for, with their titles
+// where Telegram still knows them. Chats the bot was removed from are left out.
+async function getKnownGroups(telegram) {
+  const chatIds = [...new Set([...Object.keys(scheduleData), ...Object.keys(chatSettings)])]
+    .filter(chatId => chatId.startsWith('-'))
+    .filter(chatId => !chatSettings[chatId] || chatSettings[chatId].joined !== false);
+  return Promise.all(chatIds.map(chatId => telegram.getChat(chatId)
+    .then(chat => ({ chatId: chatId, title: chat.title || chatId, type: chat.type }))
+    .catch(() => ({ chatId: chatId, title: chatId, type: (chatSettings[chatId] && chatSettings[chatId].type) || 'group' }))));
+}
+
+// Offer the known groups to send the item to
+bot.action(/^br:send:([0-9a-f]+)$/, onlyBrowserOwners, async (ctx) => {
+  const found = findBrowserMedia(ctx, ctx.match[1]);
+  if (!found) {
+    return;
+  }
+  const groups = await getKnownGroups(ctx.telegram);
+  if (groups.length === 0) {
+    return ctx.answerCbQuery('The bot has no groups yet. Set up a schedule in a group first.', { show_alert: true });
+  }
+
+  await ctx.answerCbQuery('Send to which group?');
+  await ctx.editMessageReplyMarkup({
+    inline_keyboard: [
+      ...groups.slice(0, 20).map(group => [{ text: group.title, callback_data: 'br:to:' + found.media.mediaId + ':' + group.chatId }]),
+      [{ text: '✖ Cancel', callback_data: 'br:back:' + found.media.mediaId }]
+    ]
+  });
+});
+
+bot.action(/^br:to:([0-9a-f]+):(-\d+)$/, onlyBrowserOwners, async (ctx) => {
+  const found = findBrowserMedia(ctx, ctx.match[1]);
+  if (!found) {
+    return;
+  }
+  await ctx.answerCbQuery('Sending...');
+
+  const sent = await sendMediaItem(ctx.match[2], 'manual', found.media, found.media.caption);
+  await ctx.reply(sent
+    ? capitalize(MEDIA_KINDS[found.kind].label) + ' ' + (found.index + 1) + ' was sent to ' + ctx.match[2] + '.'
+    : 'Could not send it to ' + ctx.match[2] + '. See /stats for the error.');
+
+  const indices = getBrowserIndices(ctx, found.kind);
+  const position = getBrowserPosition(ctx, found.kind, found.index);
+  await ctx.editMessageReplyMarkup(browserKeyboard(ctx, found.kind, found.media, position, indices.length)).catch(() => {});
+});
+
+// Admin command to list all media
+bot.command('listmedia', (ctx) => {
+  if (!ctx.isEditor) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  let message = 'Total media: ' + (getAllMedia().length + localMedia.length);
+  for (const kind in MEDIA_KINDS) {
+    const localCount = localMedia.filter(media => media.type === kind).length;
+    message += '\n' + capitalize(MEDIA_KINDS[kind].plural) + ': ' + mediaStores[kind].length + ' (/list' + MEDIA_KINDS[kind].commandPlural + ')' +
+      (localCount > 0 ? ' + ' + localCount + ' local' : '');
+  }
+  message += '\nLocal folder: ' + describeLocalMedia() + ' (/rescan)';
+  ctx.reply(message);
+});
+
+// Admin command to replace the tags of a media item: /retag kind number #tag1 #tag2
+bot.command('retag', (ctx) => {
+  if (!ctx.isEditor) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  const usage = 'Usage: /retag kind number #tag1 #tag2 (no tags removes all tags)\nExample: /retag video 3 #funny #cats\nKinds: ' +
+    Object.values(MEDIA_KINDS).map(kindInfo => kindInfo.command).join(', ');
+
+  const args = (ctx.payload || '').trim().split(/\s+/);
+  const kind = findMediaKind(args[0]);
+  const index = parseInt(args[1]) - 1; // Convert to 0-based index
+  if (!kind || isNaN(index)) {
+    return ctx.reply(usage);
+  }
+
+  const kindInfo = MEDIA_KINDS[kind];
+  const media = mediaStores[kind][index];
+  if (!media) {
+    return ctx.reply(`Invalid ${kindInfo.label} number. Please use /list${kindInfo.commandPlural} to see valid numbers.`);
+  }
+
+  setMediaTags(kind, index, extractHashtags(args.slice(2).join(' ')), ctx);
+
+  ctx.reply(capitalize(kindInfo.label) + ' ' + (index + 1) + (media.tags.length > 0
+    ? ' is now tagged ' + media.tags.map(tag => '#' + tag).join(' ') + '.'
+    : ' no longer has any tags.'));
+});
+
+// Admin command to change the stored caption of a media item:
+// /setcaption kind number new caption (no caption removes it)
+bot.command('setcaption', (ctx) => {
+  if (!ctx.isEditor) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  const usage = 'Usage: /setcaption kind number new caption (no caption removes it)\nExample: /setcaption video 3 Sunday vibes\nKinds: ' +
+    Object.values(MEDIA_KINDS).filter(kindInfo => kindInfo.caption).map(kindInfo => kindInfo.command).join(', ');
+
+  const match = (ctx.payload || '').trim().match(/^(\S+)\s+(\d+)(?:\s+([\s\S]*))?$/);
+  const kind = match ? findMediaKind(match[1]) : null;
+  if (!kind) {
+    return ctx.reply(usage);
+  }
+
+  const kindInfo = MEDIA_KINDS[kind];
+  if (!kindInfo.caption) {
+    return ctx.reply(capitalize(kindInfo.plural) + ' can\'t have captions.');
+  }
+
+  const index = parseInt(match[2]) - 1; // Convert to 0-based index
+  if (!mediaStores[kind][index]) {
+    return ctx.reply(`Invalid ${kindInfo.label} number. Please use /list${kindInfo.commandPlural} to see valid numbers.`);
+  }
+
+  const caption = (match[3] || '').trim();
+  setMediaCaption(kind, index, caption, ctx);
+  ctx.reply(capitalize(kindInfo.label) + ' ' + (index + 1) + (caption ? ' now has the caption: ' + caption : ' no longer has a caption.'));
+});
+
+// Admin command to set the weight of a media item for schedules with
+// weighted order: /weight kind number weight, or /weight kind number off
+bot.command('weight', (ctx) => {
+  if (!ctx.isEditor) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  const usage = 'Usage: /weight kind number weight (0 to ' + MAX_WEIGHT + ', 0 means never), or /weight kind number off\n' +
+    'Example: /weight video 3 5\nWeights only matter for schedules with /order weighted.';
+
+  const args = (ctx.payload || '').trim().split(/\s+/);
+  const kind = findMediaKind(args[0]);
+  const index = parseInt(args[1]) - 1; // Convert to 0-based index
+  if (!kind || isNaN(index) || args.length !== 3) {
+    return ctx.reply(usage);
+  }
+
+  const kindInfo = MEDIA_KINDS[kind];
+  const media = mediaStores[kind][index];
+  if (!media) {
+    return ctx.reply(`Invalid ${kindInfo.label} number. Please use /list${kindInfo.commandPlural} to see valid numbers.`);
+  }
+
+  if (args[2].toLowerCase() === 'off') {
+    delete media.weight;
+  } else {
+    const weight = parseWeight(args[2]);
+    if (weight === null) {
+      return ctx.reply(usage);
+    }
+    media.weight = weight;
+  }
+  saveMediaStore(kind);
+  logAudit(ctx, null, (media.weight !== undefined ? 'set the weight of ' : 'removed the weight of ') + describeMediaIds(kind, [media]) +
+    (media.weight !== undefined ? ' to ' + media.weight : ''));
+
+  ctx.reply(capitalize(kindInfo.label) + ' ' + (index + 1) + (media.weight !== undefined
+    ? ' now has weight ' + media.weight + '.'
+    : ' has no weight of its own anymore and uses the weights of its tags.'));
+});
+
+// Fill in the file_unique_id of media added before it was stored, by asking
+// Telegram about each file. Returns the number of items that couldn't be
+// looked up (Telegram only describes files up to 20 MB).
+async function backfillUniqueIds(telegram) {
+  let failed = 0;
+  for (const kind in mediaStores) {
+    let changed = false;
+    for (const media of mediaStores[kind]) {
+      if (media.uniqueId) {
+        continue;
+      }
+      try {
+        const file = await telegram.getFile(media.id);
+        media.uniqueId = file.file_unique_id;
+        if (file.file_size !== undefined && !(media.meta && media.meta.fileSize !== undefined)) {
+          media.meta = Object.assign({}, media.meta, { fileSize: file.file_size });
+        }
+        changed = true;
+      } catch (error) {
+        failed++;
+      }
+    }
+    if (changed) {
+      saveMediaStore(kind);
+    }
+  }
+  return failed;
+}
+
+// Find items of the same kind that are the same file. Each group lists its
+// items oldest first; the first one is the one to keep.
+function findDuplicateMedia() {
+  const groups = [];
+  for (const kind in mediaStores) {
+    const byUniqueId = {};
+    for (const media of mediaStores[kind]) {
+      if (media.uniqueId) {
+        (byUniqueId[media.uniqueId] = byUniqueId[media.uniqueId] || []).push(media);
+      }
+    }
+    for (const items of Object.values(byUniqueId)) {
+      if (items.length > 1) {
+        groups.push({ kind: kind, items: items.sort((a, b) => getAddedTime(a) - getAddedTime(b)) });
+      }
+    }
+  }
+  return groups;
+}
+
+// Merge duplicates into the first item of their group: it gets the tags of
+// all copies and any caption, weight or metadata it lacks. The copies go to
+// the trash, and rotation progress that pointed at them points at the kept
+// item. 'ctx' is the update the merge came from, for the audit log.
+function mergeDuplicateMedia(kind, items, ctx) {
+  const [kept, ...copies] = items;
+  const copyIds = new Set(copies.map(media => media.mediaId));
+
+  kept.tags = [...new Set(items.flatMap(getMediaTags))];
+  for (const copy of copies) {
+    kept.caption = kept.caption || copy.caption;
+    if (kept.weight === undefined && copy.weight !== undefined) {
+      kept.weight = copy.weight;
+    }
+    kept.meta = Object.assign({}, copy.meta, kept.meta);
+  }
+  moveMediaToTrash(kind, copies.map(media => mediaStores[kind].indexOf(media)), ctx);
+
+  for (const chatId in rotationState) {
+    for (const name in rotationState[chatId]) {
+      const sentIds = rotationState[chatId][name].map(mediaId => copyIds.has(mediaId) ? kept.mediaId : mediaId);
+      rotationState[chatId][name] = [...new Set(sentIds)];
+    }
+  }
+  saveRotationState();
+  logAudit(ctx, null, 'merged ' + describeMediaIds(kind, copies) + ' into ' + kept.mediaId + ', the copies are in the trash');
+}
+
+// Set while /dedup runs, since looking up every file takes a while
+let dedupRunning = false;
+
+// Owner command to find duplicate media in the collection: /dedup lists
+// them, /dedup merge merges them
+bot.command('dedup', async (ctx) => {
+  if (!ctx.isOwner) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+  if (dedupRunning) {
+    return ctx.reply('A duplicate scan is already running.');
+  }
+
+  const merge = (ctx.payload || '').trim().toLowerCase() === 'merge';
+  dedupRunning = true;
+  try {
+    const missing = getAllMedia().filter(media => !media.uniqueId).length;
+    let failed = 0;
+    if (missing > 0) {
+      await ctx.reply('Looking up ' + missing + ' item(s) added before duplicates could be detected, this may take a while...');
+      failed = await backfillUniqueIds(ctx.telegram);
+    }
+
+    const groups = findDuplicateMedia();
+    const skipped = failed > 0 ? '\n' + failed + ' item(s) could not be looked up and were not compared.' : '';
+    if (groups.length === 0) {
+      return ctx.reply('No duplicates found.' + skipped);
+    }
+
+    const copies = groups.reduce((sum, group) => sum + group.items.length - 1, 0);
+    if (!merge) {
+      const lines = groups.slice(0, 20).map(group => {
+        const numbers = group.items.map(media => mediaStores[group.kind].indexOf(media) + 1);
+        return '- ' + MEDIA_KINDS[group.kind].label + ' ' + numbers[0] + ' = ' + numbers.slice(1).join(', ');
+      });
+      return ctx.reply('Found ' + groups.length + ' item(s) with ' + copies + ' duplicate(s):\n' + lines.join('\n') +
+        (groups.length > 20 ? '\n- ...' : '') + skipped + '\n\n' +
+        'Send /dedup merge to merge them. The oldest item is kept and gets the tags of its copies.');
+    }
+
+    for (const group of groups) {
+      mergeDuplicateMedia(group.kind, group.items, ctx);
+    }
+    ctx.reply('Merged ' + copies + ' duplicate(s) into ' + groups.length + ' item(s). The copies are in the /trash.' + skipped);
+  } finally {
+    dedupRunning = false;
+  }
+});
+
+// Admin command to list all tags with the number of items per tag
+bot.command('listtags', (ctx) => {
+  if (!ctx.isEditor) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  const counts = {};
+  for (const media of getAllMedia()) {
+    for (const tag of getMediaTags(media)) {
+      counts[tag] = (counts[tag] || 0) + 1;
+    }
+  }
+
+  const tags = Object.keys(counts).sort();
+  if (tags.length === 0) {
+    return ctx.reply('No tags yet. Add hashtags to a caption when adding media, or use /retag.');
+  }
+
+  ctx.reply('Tags:\n' + tags.map(tag => '#' + tag + ' - ' + counts[tag]).join('\n'));
+});
+
+// Get the user a role command refers to: the sender of the replied-to
+// message, or a numeric user ID given as argument
+function getRoleTarget(ctx, arg) {
+  const repliedTo = ctx.message.reply_to_message;
+  if (repliedTo && repliedTo.from && !arg) {
+    return String(repliedTo.from.id);
+  }
+  return /^\d+$/.test(arg || '') ? arg : null;
+}
+
+// Owner command to grant a bot role: /grant owner|editor userId (or in reply to the user)
+bot.command('grant', (ctx) => {
+  if (!ctx.isOwner) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  const args = (ctx.payload || '').trim().split(/\s+/).filter(Boolean);
+  const role = (args[0] || '').toLowerCase();
+  const userId = getRoleTarget(ctx, args[1]);
+  if ((role !== 'owner' && role !== 'editor') || !userId) {
+    return ctx.reply('Usage: /grant owner|editor userId (or reply to a message of the user with /grant owner|editor)');
+  }
+
+  // A user has one role at a time
+  roles.owners = roles.owners.filter(id => id !== userId);
+  roles.editors = roles.editors.filter(id => id !== userId);
+  roles[role + 's'].push(userId);
+  saveRoles();
+  logAudit(ctx, null, 'made user ' + userId + ' a bot ' + role);
+
+  ctx.reply('User ' + userId + ' is now a bot ' + role + '.');
+});
+
+// Owner command to revoke a user's bot role: /revoke userId (or in reply to the user)
+bot.command('revoke', (ctx) => {
+  if (!ctx.isOwner) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  const userId = getRoleTarget(ctx, (ctx.payload || '').trim());
+  if (!userId) {
+    return ctx.reply('Usage: /revoke userId (or reply to a message of the user with /revoke)');
+  }
+
+  if (ADMIN_IDS.includes(userId)) {
+    return ctx.reply('User ' + userId + ' is an owner from ADMIN_ID in the bot configuration and cannot be revoked here.');
+  }
+
+  if (!roles.owners.includes(userId) && !roles.editors.includes(userId)) {
+    return ctx.reply('User ' + userId + ' has no bot role.');
+  }
+
+  roles.owners = roles.owners.filter(id => id !== userId);
+  roles.editors = roles.editors.filter(id => id !== userId);
+  saveRoles();
+  logAudit(ctx, null, 'revoked the bot role of user ' + userId);
+
+  ctx.reply('User ' + userId + ' no longer has a bot role.');
+});
+
+// Owner command to list bot owners and editors
+bot.command('roles', (ctx) => {
+  if (!ctx.isOwner) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  const owners = [...new Set([...ADMIN_IDS, ...roles.owners])];
+  ctx.reply(
+    'Owners: ' + owners.join(', ') + '\n' +
+    'Editors: ' + (roles.editors.length > 0 ? roles.editors.join(', ') : 'none') + '\n\n' +
+    'Owners can do everything; editors can add, list and tag media but not delete it.'
+  );
+});
+
+// Audit log entries /audit shows per page
+const AUDIT_PAGE_SIZE = 20;
+// Longer audit log actions (e.g. a changed caption template) are shortened in /audit
+const MAX_AUDIT_ACTION_LENGTH = 200;
+
+// Command to browse the audit log, latest change first: /audit [page].
+// In a private chat bot owners see all changes; in a group its admins see
+// the changes made to that group.
+bot.command('audit', onlyChatAdmins, (ctx) => {
+  const isGroup = ctx.chat.type !== 'private';
+  if (!isGroup && !ctx.isOwner) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  const chatId = String(ctx.chat.id);
+  const page = Math.max(parseInt(ctx.payload) || 1, 1);
+  const { entries, hasMore } = readAuditLogPage(entry => !isGroup || entry.chatId === chatId, (page - 1) * AUDIT_PAGE_SIZE, AUDIT_PAGE_SIZE);
+  if (entries.length === 0) {
+    if (page > 1) {
+      return ctx.reply('There are no changes on page ' + page + '. Use /audit to see the latest ones.');
+    }
+    return ctx.reply(isGroup ? 'No changes to this group have been recorded yet.' : 'No changes have been recorded yet.');
+  }
+
+  const timezone = isGroup ? getChatTimezone(chatId) : DEFAULT_TIMEZONE;
+  const lines = entries.map((entry) => {
+    const action = entry.action.length > MAX_AUDIT_ACTION_LENGTH ? entry.action.substring(0, MAX_AUDIT_ACTION_LENGTH) + '...' : entry.action;
+    const chat = !isGroup && entry.chatId ? ' in ' + ((chatSettings[entry.chatId] && chatSettings[entry.chatId].title) || entry.chatId) : '';
+    return '- ' + DateTime.fromISO(entry.at, { zone: timezone }).toFormat('dd LLL yyyy HH:mm') + ' ' + entry.user + ' ' + action + chat;
+  });
+
+  ctx.reply((isGroup ? 'Changes to this group' : 'Changes') + ' (page ' + page + ', times in ' + timezone + '):\n' + lines.join('\n') +
+    (hasMore ? '\n\nOlder changes: /audit ' + (page + 1) : ''));
+});
+
+// Identifies export archives and the version of their layout. Version 2
+// added one-off posts, source channels, local files, the trash and roles.
+const EXPORT_FORMAT = 'botx-export';
+const EXPORT_VERSION = 2;
+
+// Build an export archive of everything the bot keeps: the collection,
+// schedules and rotation state, chat settings, one-off posts, source
+// channels, local files, the trash and bot roles
+function buildExportArchive() {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    media: mediaStores,
+    schedules: scheduleData,
+    rotation: rotationState,
+    chats: chatSettings,
+    posts: postData,
+    sources: sourceChannels,
+    local: localMedia,
+    trash: trash,
+    roles: roles
+  };
+}
+
+// Whether a value is a plain object (not null or an array)
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Whether a value is a time of day as parseTimeOfDay returns it, e.g. "09:30"
+function isTimeOfDay(value) {
+  return typeof value === 'string' && parseTimeOfDay(value) === value;
+}
+
+// Whether a value is a time window like the ones of timing rules and quiet hours
+function isTimeWindow(value) {
+  return isPlainObject(value) && isTimeOfDay(value.start) && isTimeOfDay(value.end) && value.start !== value.end;
+}
+
+// Check a timing rule from an archive. Returns what's wrong with it, or null
+// if it's a rule parseTiming could have made.
+function validateTiming(timing) {
+  if (!isPlainObject(timing)) {
+    return 'it has no timing';
+  }
+
+  switch (timing.type) {
+    case 'interval':
+      if (!Number.isInteger(timing.minutes) || timing.minutes <= 0) {
+        return 'its interval is not a positive number of minutes';
+      }
+      if (timing.anchor !== undefined && (typeof timing.anchor !== 'string' || isNaN(new Date(timing.anchor).getTime()))) {
+        return 'its interval start is not a valid time';
+      }
+      break;
+    case 'daily':
+      if (!Array.isArray(timing.times) || timing.times.length === 0 || !timing.times.every(isTimeOfDay)) {
+        return 'its daily times are not valid HH:MM times';
+      }
+      break;
+    case 'cron':
+      if (typeof timing.expression !== 'string') {
+        return 'it has no cron expression';
+      }
+      try {
+        cronParser.parseExpression(timing.expression);
+      } catch (error) {
+        return 'its cron expression "' + timing.expression + '" is invalid';
+      }
+      break;
+    default:
+      return 'its timing type is unknown';
+  }
+
+  if (timing.window !== undefined && !isTimeWindow(timing.window)) {
+    return 'its time window is invalid';
+  }
+  return null;
+}
+
+// Check a schedule from an archive. Returns what's wrong with it, or null if
+// it can be armed as it is.
+function validateSchedule(data) {
+  if (!isPlainObject(data)) {
+    return 'it is not a schedule';
+  }
+
+  const timingError = validateTiming(data.timing);
+  if (timingError) {
+    return timingError;
+  }
+  if (!Array.isArray(data.mediaTypes) || data.mediaTypes.length === 0 || !data.mediaTypes.every(kind => Object.hasOwn(MEDIA_KINDS, kind))) {
+    return 'its media kinds are invalid';
+  }
+  if (data.batchSize !== undefined && (!Number.isInteger(data.batchSize) || data.batchSize < 1 || data.batchSize > 10)) {
+    return 'its batch size is not between 1 and 10';
+  }
+  if (data.order !== undefined && !Object.hasOwn(ORDER_STRATEGIES, data.order)) {
+    return 'its order is unknown';
+  }
+  if (data.tagFilter !== undefined && data.tagFilter !== null &&
+    !(isPlainObject(data.tagFilter) && Array.isArray(data.tagFilter.include) && Array.isArray(data.tagFilter.exclude))) {
+    return 'its tag filter is invalid';
+  }
+  for (const setting of ['mediaFilter', 'tagWeights']) {
+    if (data[setting] !== undefined && data[setting] !== null && !isPlainObject(data[setting])) {
+      return 'its ' + setting + ' setting is invalid';
+    }
+  }
+  return null;
+}
+
+// Check a media item from an archive. Returns what's wrong with it, or null.
+function validateArchiveMedia(media) {
+  if (!isPlainObject(media) || typeof media.id !== 'string' || !media.id) {
+    return 'it has no file ID';
+  }
+  for (const field of ['mediaId', 'uniqueId', 'caption']) {
+    if (media[field] !== undefined && media[field] !== null && typeof media[field] !== 'string') {
+      return 'its ' + field + ' is not text';
+    }
+  }
+  if (media.tags !== undefined && !(Array.isArray(media.tags) && media.tags.every(tag => typeof tag === 'string'))) {
+    return 'its tags are not a list of words';
+  }
+  if (media.weight !== undefined && (typeof media.weight !== 'number' || media.weight < 0)) {
+    return 'its weight is not a number of 0 or more';
+  }
+  return null;
+}
+
+// Check a one-off post from an archive. Returns what's wrong with it, or null.
+function validateArchivePost(post) {
+  if (!isPlainObject(post) || typeof post.at !== 'string' || isNaN(new Date(post.at).getTime())) {
+    return 'it has no valid time';
+  }
+  if (post.type !== 'text' && !Object.hasOwn(MEDIA_KINDS, post.type)) {
+    return 'its kind is unknown';
+  }
+  if (typeof post.text !== 'string' || (post.type !== 'text' && typeof post.fileId !== 'string')) {
+    return 'its content is missing';
+  }
+  return null;
+}
+
+// Check the parts added in version 2 of the archive (see EXPORT_VERSION).
+// Parts that are missing are fine. Returns an error message, or null.
+function validateArchiveExtras(archive) {
+  if (archive.posts !== undefined) {
+    if (!isPlainObject(archive.posts) || !Object.values(archive.posts).every(isPlainObject)) {
+      return 'This archive is invalid: the one-off posts are broken.';
+    }
+    for (const chatId in archive.posts) {
+      for (const postId in archive.posts[chatId]) {
+        const error = validateArchivePost(archive.posts[chatId][postId]);
+        if (error) {
+          return 'This archive is invalid: post ' + postId + ' of chat ' + chatId + ' is broken, ' + error + '.';
+        }
+      }
+    }
+  }
+
+  if (archive.sources !== undefined) {
+    const valid = isPlainObject(archive.sources) && Object.values(archive.sources).every(source =>
+      isPlainObject(source) && Array.isArray(source.tags) && source.tags.every(tag => typeof tag === 'string'));
+    if (!valid) {
+      return 'This archive is invalid: the source channels are broken.';
+    }
+  }
+
+  if (archive.local !== undefined) {
+    if (!Array.isArray(archive.local)) {
+      return 'This archive is invalid: the local files are broken.';
+    }
+    for (const media of archive.local) {
+      const error = !isPlainObject(media) || typeof media.localPath !== 'string' || !Object.hasOwn(MEDIA_KINDS, media.type)
+        ? 'it has no path or kind'
+        : validateArchiveMedia(Object.assign({}, media, { id: media.id || 'not uploaded' }));
+      if (error) {
+        return 'This archive is invalid: local file ' + (isPlainObject(media) ? media.localPath : media) + ' is broken, ' + error + '.';
+      }
+    }
+  }
+
+  if (archive.trash !== undefined) {
+    if (!Array.isArray(archive.trash)) {
+      return 'This archive is invalid: the trash is broken.';
+    }
+    for (let i = 0; i < archive.trash.length; i++) {
+      const entry = archive.trash[i];
+      const error = !isPlainObject(entry) || !Object.hasOwn(MEDIA_KINDS, entry.kind) || !Number.isInteger(entry.position) || entry.position < 0
+        ? 'it has no kind or position'
+        : validateArchiveMedia(entry.media);
+      if (error) {
+        return 'This archive is invalid: item ' + (i + 1) + ' in the trash is broken, ' + error + '.';
+      }
+    }
+  }
+
+  if (archive.roles !== undefined) {
+    const isIdList = list => Array.isArray(list) && list.every(id => typeof id === 'string' && /^\d+$/.test(id));
+    if (!isPlainObject(archive.roles) || !isIdList(archive.roles.owners) || !isIdList(archive.roles.editors)) {
+      return 'This archive is invalid: the bot roles are broken.';
+    }
+  }
+
+  return null;
+}
+
+// Check the settings of a chat from an archive. Returns what's wrong with them, or null.
+function validateChatSettings(settings) {
+  if (!isPlainObject(settings)) {
+    return 'they are not settings';
+  }
+  if (settings.timezone !== undefined && !(typeof settings.timezone === 'string' && IANAZone.isValidZone(settings.timezone))) {
+    return 'the timezone is invalid';
+  }
+  if (settings.quietHours !== undefined && settings.quietHours !== null && !isTimeWindow(settings.quietHours)) {
+    return 'the quiet hours are invalid';
+  }
+  if (settings.dailyLimit !== undefined && settings.dailyLimit !== null && !(Number.isInteger(settings.dailyLimit) && settings.dailyLimit > 0)) {
+    return 'the daily limit is not a positive number';
+  }
+  return null;
+}
+
+// Check that an archive is one this version of the bot can import. Every
+// part is checked before anything is imported, so a broken archive changes nothing.
+// Returns an error message, or null if it's fine.
+function validateExportArchive(archive) {
+  if (!isPlainObject(archive) || archive.format !== EXPORT_FORMAT) {
+    return 'This file is not a bot export archive.';
+  }
+  if (typeof archive.version !== 'number' || archive.version > EXPORT_VERSION) {
+    return 'This archive was made by a newer version of the bot (format version ' + archive.version + ').';
+  }
+  if (!isPlainObject(archive.media) || !isPlainObject(archive.schedules)) {
+    return 'This archive is incomplete: media or schedules are missing.';
+  }
+
+  for (const kind in archive.media) {
+    if (!Object.hasOwn(MEDIA_KINDS, kind) || !Array.isArray(archive.media[kind])) {
+      return 'This archive is invalid: "' + kind + '" is not a list of a known media kind.';
+    }
+    for (let i = 0; i < archive.media[kind].length; i++) {
+      const error = validateArchiveMedia(archive.media[kind][i]);
+      if (error) {
+        return 'This archive is invalid: ' + MEDIA_KINDS[kind].label + ' ' + (i + 1) + ' is broken, ' + error + '.';
+      }
+    }
+  }
+
+  for (const chatId in archive.schedules) {
+    if (!/^-?\d+$/.test(chatId) || !isPlainObject(archive.schedules[chatId])) {
+      return 'This archive is invalid: the schedules of chat ' + chatId + ' are broken.';
+    }
+    for (const name in archive.schedules[chatId]) {
+      const error = parseScheduleName(name) === name ? validateSchedule(archive.schedules[chatId][name]) : 'its name is invalid';
+      if (error) {
+        return 'This archive is invalid: schedule "' + name + '" of chat ' + chatId + ' is broken, ' + error + '.';
+      }
+    }
+  }
+
+  if (archive.rotation !== undefined) {
+    const valid = isPlainObject(archive.rotation) && Object.values(archive.rotation).every(chatRotation =>
+      isPlainObject(chatRotation) && Object.values(chatRotation).every(sentIds => Array.isArray(sentIds)));
+    if (!valid) {
+      return 'This archive is invalid: the rotation state is broken.';
+    }
+  }
+
+  if (archive.chats !== undefined) {
+    if (!isPlainObject(archive.chats)) {
+      return 'This archive is invalid: the chat settings are broken.';
+    }
+    for (const chatId in archive.chats) {
+      const error = validateChatSettings(archive.chats[chatId]);
+      if (error) {
+        return 'This archive is invalid: the settings of chat ' + chatId + ' are broken, ' + error + '.';
+      }
+    }
+  }
+
+  return validateArchiveExtras(archive);
+}
+
+// Import an archive. In 'merge' mode media, schedules, chat settings, one-off
+// posts, source channels, local files, trash items and roles that don't exist
+// yet are added; in 'replace' mode the current data is replaced. Parts an
+// archive doesn't have (like the posts in archives of version 1) are left as
+// they are in both modes. Media is matched by file ID, so the same item is
+// never added twice, and posts whose time has passed are not imported. With
+// dryRun nothing is changed and only the summary is returned.
+function importArchive(archive, mode, dryRun) {
+  const replace = mode === 'replace';
+  const summary = { media: {}, schedulesAdded: 0, schedulesSkipped: 0, chatsAdded: 0, postsAdded: 0, postsExpired: 0, sourcesAdded: 0, localAdded: 0, trashAdded: 0, rolesAdded: 0 };
+
+  // Media IDs from the archive are kept so its rotation state still applies,
+  // unless they're taken by another item. A replace keeps the local files and
+  // the trash when the archive has none, so their IDs stay taken.
+  const keptMedia = replace
+    ? [...(archive.local ? [] : localMedia), ...(archive.trash ? [] : trash.map(entry => entry.media))]
+    : [...getAllMedia(), ...localMedia, ...trash.map(entry => entry.media)];
+  const usedMediaIds = new Set(keptMedia.map(media => media.mediaId));
+  const keepMediaId = (media) => {
+    const item = Object.assign({}, media);
+    if (!item.mediaId || usedMediaIds.has(item.mediaId)) {
+      item.mediaId = null;
+    }
+    usedMediaIds.add(item.mediaId);
+    return item;
+  };
+
+  // Media, per kind
+  const newStores = {};
+  for (const kind in MEDIA_KINDS) {
+    const current = replace ? [] : mediaStores[kind];
+    const seenFileIds = new Set(current.map(media => media.id));
+    const seenUniqueIds = new Set(current.map(media => media.uniqueId).filter(Boolean));
+    const added = [];
+    let duplicates = 0;
+
+    for (const media of archive.media[kind] || []) {
+      if (seenFileIds.has(media.id) || (media.uniqueId && seenUniqueIds.has(media.uniqueId))) {
+        duplicates++;
+        continue;
+      }
+      seenFileIds.add(media.id);
+      if (media.uniqueId) {
+        seenUniqueIds.add(media.uniqueId);
+      }
+      added.push(keepMediaId(Object.assign({}, media, { type: kind })));
+    }
+
+    summary.media[kind] = { added: added.length, duplicates: duplicates };
+    newStores[kind] = [...current, ...added];
+  }
+
+  // Schedules and their rotation state
+  const newSchedules = replace ? {} : JSON.parse(JSON.stringify(scheduleData));
+  const newRotation = replace ? {} : JSON.parse(JSON.stringify(rotationState));
+  const archiveRotation = archive.rotation || {};
+  for (const chatId in archive.schedules) {
+    for (const name in archive.schedules[chatId]) {
+      if (newSchedules[chatId] && newSchedules[chatId][name]) {
+        summary.schedulesSkipped++;
+        continue;
+      }
+      newSchedules[chatId] = newSchedules[chatId] || {};
+      newSchedules[chatId][name] = archive.schedules[chatId][name];
+      if (archiveRotation[chatId] && archiveRotation[chatId][name]) {
+        newRotation[chatId] = newRotation[chatId] || {};
+        newRotation[chatId][name] = archiveRotation[chatId][name];
+      }
+      summary.schedulesAdded++;
+    }
+  }
+
+  // Per-chat settings. Whether the bot is in a chat comes from Telegram, not
+  // from the archive, so a replace keeps what the bot knows about that.
+  const newChatSettings = replace ? {} : Object.assign({}, chatSettings);
+  for (const chatId in archive.chats || {}) {
+    if (!newChatSettings[chatId]) {
+      newChatSettings[chatId] = archive.chats[chatId];
+      summary.chatsAdded++;
+    }
+  }
+  if (replace) {
+    for (const chatId in chatSettings) {
+      if (chatSettings[chatId].joined !== undefined) {
+        const { title, type, joined } = chatSettings[chatId];
+        newChatSettings[chatId] = Object.assign({}, newChatSettings[chatId], { title: title, type: type, joined: joined });
+      }
+    }
+  }
+
+  // One-off posts
+  let newPosts = null;
+  if (archive.posts) {
+    newPosts = replace ? {} : JSON.parse(JSON.stringify(postData));
+    for (const chatId in archive.posts) {
+      for (const postId in archive.posts[chatId]) {
+        const post = archive.posts[chatId][postId];
+        if (newPosts[chatId] && newPosts[chatId][postId]) {
+          continue;
+        }
+        if (new Date(post.at).getTime() <= Date.now()) {
+          summary.postsExpired++;
+          continue;
+        }
+        newPosts[chatId] = newPosts[chatId] || {};
+        newPosts[chatId][postId] = post;
+        summary.postsAdded++;
+      }
+    }
+  }
+
+  // Source channels
+  let newSources = null;
+  if (archive.sources) {
+    newSources = replace ? {} : Object.assign({}, sourceChannels);
+    for (const chatId in archive.sources) {
+      if (!newSources[chatId]) {
+        newSources[chatId] = archive.sources[chatId];
+        summary.sourcesAdded++;
+      }
+    }
+  }
+
+  // Local files, matched by path. The next scan drops the ones that aren't
+  // in the local media folder of this machine.
+  let newLocal = null;
+  if (archive.local) {
+    newLocal = replace ? [] : [...localMedia];
+    for (const media of archive.local) {
+      if (!newLocal.some(item => item.localPath === media.localPath)) {
+        newLocal.push(keepMediaId(media));
+        summary.localAdded++;
+      }
+    }
+  }
+
+  // Trash, latest deletion first. Items that are also in the collection are left out.
+  let newTrash = null;
+  if (archive.trash) {
+    newTrash = replace ? [] : [...trash];
+    for (const entry of archive.trash) {
+      const isKnown = [...newStores[entry.kind], ...newTrash.filter(item => item.kind === entry.kind).map(item => item.media)]
+        .some(media => media.id === entry.media.id);
+      if (!isKnown) {
+        newTrash.push(Object.assign({}, entry, { media: keepMediaId(entry.media) }));
+        summary.trashAdded++;
+      }
+    }
+    newTrash.sort((a, b) => new Date(b.deletedAt || 0) - new Date(a.deletedAt || 0));
+  }
+
+  // Bot roles. A user keeps the role they already have.
+  let newRoles = null;
+  if (archive.roles) {
+    newRoles = replace ? { owners: [], editors: [] } : { owners: [...roles.owners], editors: [...roles.editors] };
+    for (const role of ['owners', 'editors']) {
+      for (const userId of archive.roles[role]) {
+        if (!newRoles.owners.includes(userId) && !newRoles.editors.includes(userId)) {
+          newRoles[role].push(userId);
+          summary.rolesAdded++;
+        }
+      }
+    }
+  }
+
+  if (dryRun) {
+    return summary;
+  }
+
+  // Stop the jobs of the schedules that are being replaced
+  if (replace) {
+    for (const chatId in schedules) {
+      for (const name in schedules[chatId]) {
+        cancelScheduledJob(chatId, name);
+      }
+    }
+  }
+
+  for (const kind in newStores) {
+    mediaStores[kind] = newStores[kind];
+  }
+  if (newLocal) {
+    localMedia = newLocal;
+  }
+  if (newTrash) {
+    trash = newTrash;
+  }
+  reserveMediaIds([...getAllMedia(), ...localMedia, ...trash.map(entry => entry.media)].map(media => media.mediaId).filter(Boolean));
+  for (const kind in mediaStores) {
+    assignMissingMediaIds(mediaStores[kind]);
+    saveMediaStore(kind);
+  }
+  assignMissingMediaIds(localMedia);
+  assignMissingMediaIds(trash.map(entry => entry.media));
+  saveLocalMedia();
+  saveTrash();
+
+  const previousSchedules = scheduleData;
+  scheduleData = newSchedules;
+  rotationState = newRotation;
+  chatSettings = newChatSettings;
+  saveRotationState();
+  saveChatSettings();
+
+  if (newSources) {
+    sourceChannels = newSources;
+    saveSourceChannels();
+  }
+  if (newRoles) {
+    roles = newRoles;
+    saveRoles();
+  }
+
+  // Start the jobs of imported schedules (this also saves the schedule data)
+  for (const chatId in scheduleData) {
+    for (const name in scheduleData[chatId]) {
+      const isNew = replace || !previousSchedules[chatId] || !previousSchedules[chatId][name];
+      if (isNew) {
+        const data = scheduleData[chatId][name];
+        createScheduledJob(chatId, name, data.timing, data.mediaTypes);
+      }
+    }
+  }
+  saveScheduleData();
+
+  // Arm the jobs of the posts again, so removed posts aren't sent and
+  // imported ones are
+  if (newPosts) {
+    for (const chatId in postJobs) {
+      for (const postId in postJobs[chatId]) {
+        cancelPostJob(chatId, postId);
+      }
+    }
+    postData = newPosts;
+    savePostData();
+    for (const chatId in postData) {
+      for (const postId in postData[chatId]) {
+        armPostJob(chatId, postId);
+      }
+    }
+  }
+
+  return summary;
+}
+
+// Describe the result of an import
+function formatImportSummary(summary, mode, dryRun) {
+  let message = (dryRun ? 'Dry run, nothing was changed. An import' : 'Import') + ' in ' + mode + ' mode ' + (dryRun ? 'would add' : 'added') + ':\n';
+  for (const kind in summary.media) {
+    const { added, duplicates } = summary.media[kind];
+    if (added > 0 || duplicates > 0) {
+      message += '- ' + capitalize(MEDIA_KINDS[kind].plural) + ': ' + added + ' new' + (duplicates > 0 ? ', ' + duplicates + ' duplicates skipped' : '') + '\n';
+    }
+  }
+  message += '- Schedules: ' + summary.schedulesAdded + ' new' + (summary.schedulesSkipped > 0 ? ', ' + summary.schedulesSkipped + ' already existing kept' : '') + '\n';
+  message += '- Chat settings: ' + summary.chatsAdded + ' new';
+  if (summary.postsAdded > 0 || summary.postsExpired > 0) {
+    message += '\n- One-off posts: ' + summary.postsAdded + ' new' + (summary.postsExpired > 0 ? ', ' + summary.postsExpired + ' past their time skipped' : '');
+  }
+  if (summary.sourcesAdded > 0) {
+    message += '\n- Source channels: ' + summary.sourcesAdded + ' new';
+  }
+  if (summary.localAdded > 0) {
+    message += '\n- Local files: ' + summary.localAdded + ' new';
+  }
+  if (summary.trashAdded > 0) {
+    message += '\n- Trash: ' + summary.trashAdded + ' new';
+  }
+  if (summary.rolesAdded > 0) {
+    message += '\n- Bot roles: ' + summary.rolesAdded + ' new';
+  }
+  if (mode === 'replace') {
+    message += '\nAll previous data ' + (dryRun ? 'would be' : 'was') + ' replaced with the archive.';
+  }
+  if (dryRun) {
+    message += '\n\nSend the file again without "dryrun" to import it.';
+  }
+  return message;
+}
+
+// Owner command to export everything the bot keeps as a document (see buildExportArchive)
+bot.command('export', async (ctx) => {
+  if (!ctx.isOwner) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  const archive = buildExportArchive();
+  const filename = 'botx-export-' + DateTime.now().toFormat('yyyyLLdd-HHmmss') + '.json';
+
+  try {
+    await ctx.replyWithDocument({ source: Buffer.from(JSON.stringify(archive, null, 2)), filename: filename }, {
+      caption: 'Export of ' + getAllMedia().length + ' media items and ' +
+        Object.values(scheduleData).reduce((count, chatSchedules) => count + Object.keys(chatSchedules).length, 0) + ' schedules.\n' +
+        'To restore it, send this file back with the caption /import (or /import replace, add dryrun to preview).'
+    });
+  } catch (error) {
+    console.error('Error sending export:', error);
+    ctx.reply('Could not send the export: ' + error.message);
+  }
+});
+
+// Import an export archive from a document. 'argsText' holds the options:
+// merge (default) or replace, and dryrun.
+async function handleImport(ctx, document, argsText) {
+  if (!ctx.isOwner) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  const args = (argsText || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const mode = args.includes('replace') ? 'replace' : 'merge';
+  const dryRun = args.includes('dryrun') || args.includes('dry-run');
+
+  let archive;
+  try {
+    const link = await ctx.telegram.getFileLink(document.file_id);
+    const response = await fetch(link.href);
+    if (!response.ok) {
+      throw new Error('download failed with status ' + response.status);
+    }
+    archive = JSON.parse(await response.text());
+  } catch (error) {
+    console.error('Error reading import file:', error);
+    return ctx.reply('Could not read the file: ' + error.message);
+  }
+
+  const validationError = validateExportArchive(archive);
+  if (validationError) {
+    return ctx.reply(validationError);
+  }
+
+  let summary;
+  try {
+    summary = importArchive(archive, mode, dryRun);
+  } catch (error) {
+    console.error('Error importing archive:', error);
+    return ctx.reply('Could not import the archive: ' + error.message);
+  }
+  console.log('Imported archive from ' + archive.exportedAt + ' in ' + mode + ' mode' + (dryRun ? ' (dry run)' : ''));
+  if (!dryRun) {
+    logAudit(ctx, null, 'imported a backup from ' + archive.exportedAt + ' in ' + mode + ' mode');
+  }
+  ctx.reply(formatImportSummary(summary, mode, dryRun));
+}
+
+// Owner command to import an export archive, sent in reply to the archive document
+bot.command('import', (ctx) => {
+  const repliedTo = ctx.message.reply_to_message;
+  if (!ctx.isOwner) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  if (!repliedTo || !repliedTo.document) {
+    return ctx.reply(
+      'Send an export file with the caption /import, or reply to one with /import.\n' +
+      'Options: merge (default, adds what is missing) or replace (replaces all current data), and dryrun to only preview the changes.\n' +
+      'Example: /import replace dryrun'
+    );
+  }
+
+  return handleImport(ctx, repliedTo.document, ctx.payload);
+});
+
+// Find a media item by its permanent ID. Returns the item with its kind and
+// 0-based position in the list of that kind, or null if it was deleted.
+function findMediaById(mediaId) {
+  for (const kind in mediaStores) {
+    const index = mediaStores[kind].findIndex(media => media.mediaId === mediaId);
+    if (index !== -1) {
+      return { kind: kind, index: index, media: mediaStores[kind][index] };
+    }
+  }
+  return null;
+}
+
+// Describe a media item for stats, e.g. "video 12 (Sunday vibes)"
+function describeMediaById(mediaId) {
+  const found = findMediaById(mediaId);
+  const localFile = localMedia.find(media => media.mediaId === mediaId);
+  if (!found && localFile) {
+    return 'local file ' + localFile.localPath;
+  }
+  if (!found) {
+    return 'deleted item ' + mediaId;
+  }
+
+  let description = MEDIA_KINDS[found.kind].label + ' ' + (found.index + 1);
+  if (found.media.caption) {
+    const caption = found.media.caption.replace(/\s+/g, ' ');
+    description += ' (' + (caption.length > 30 ? caption.substring(0, 30) + '...' : caption) + ')';
+  }
+  return description;
+}
+
+// Format a failure rate like "3 failed (2.5%)"
+function formatFailures(failed, total) {
+  return failed + ' failed' + (total > 0 ? ' (' + (failed / total * 100).toFixed(1) + '%)' : '');
+}
+
+// Build the stats of one chat, for its admins
+function buildChatStats(chatId) {
+  const chat = deliveryStats.chats[String(chatId)];
+  if (!chat || chat.total === 0) {
+    return 'Nothing has been sent to this group yet.';
+  }
+
+  // Days are counted in UTC, so the last 7 days are today and the 6 before it
+  const firstDay = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+  const lastWeek = Object.entries(chat.days).filter(([day]) => day >= firstDay).reduce((sum, [, count]) => sum + count, 0);
+
+  let message = 'Stats for this group:\n' +
+    'Posts: ' + chat.posted + ' total, ' + lastWeek + ' in the last 7 days\n' +
+    'Failures: ' + formatFailures(chat.total - chat.posted, chat.total) + '\n';
+
+  // Posts per schedule
+  const perSchedule = Object.entries(chat.schedules).filter(([, counts]) => counts.posted > 0);
+  if (perSchedule.length > 0) {
+    message += '\nPosts per schedule:\n' + perSchedule
+      .map(([name, counts]) => '- ' + name + ': ' + counts.posted)
+      .join('\n') + '\n';
+  }
+
+  if (chat.lastPostAt) {
+    message += '\nLast post: ' + DateTime.fromISO(chat.lastPostAt, { zone: getChatTimezone(chatId) }).toFormat('ccc, dd LLL yyyy HH:mm');
+  }
+
+  return message;
+}
+
+// Build the stats over all chats, for bot owners
+function buildGlobalStats() {
+  const { total, posted, errors } = deliveryStats;
+  if (total === 0) {
+    return 'Nothing has been sent yet.';
+  }
+
+  let message = 'Delivery stats:\n' +
+    'Send attempts: ' + total + ', ' + posted + ' posted, ' + formatFailures(total - posted, total) + '\n';
+
+  // Posts and failure rate per chat, busiest first
+  message += '\nPer chat:\n' + Object.entries(deliveryStats.chats)
+    .sort((a, b) => b[1].total - a[1].total)
+    .slice(0, 15)
+    .map(([chatId, counts]) => '- ' + chatId + ': ' + counts.posted + ' posted, ' + formatFailures(counts.total - counts.posted, counts.total))
+    .join('\n') + '\n';
+
+  // Most common errors
+  if (Object.keys(errors).length > 0) {
+    message += '\nMost common errors:\n' + Object.entries(errors)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([error, count]) => '- ' + count + 'x ' + error)
+      .join('\n') + '\n';
+  }
+
+  // Most and least sent items that still exist
+  const sendCounts = deliveryStats.media;
+  const ranked = Object.entries(sendCounts)
+    .filter(([mediaId]) => findMediaById(mediaId))
+    .sort((a, b) => b[1] - a[1]);
+  if (ranked.length > 0) {
+    message += '\nMost sent:\n' + ranked.slice(0, 5)
+      .map(([mediaId, count]) => '- ' + describeMediaById(mediaId) + ': ' + count + 'x')
+      .join('\n') + '\n';
+    message += '\nLeast sent:\n' + ranked.slice(-5).reverse()
+      .map(([mediaId, count]) => '- ' + describeMediaById(mediaId) + ': ' + count + 'x')
+      .join('\n') + '\n';
+  }
+
+  // Items that were never sent anywhere
+  const neverSent = getAllMedia().filter(media => !sendCounts[media.mediaId]);
+  message += '\nNever sent: ' + neverSent.length + ' of ' + getAllMedia().length + ' items';
+  if (neverSent.length > 0) {
+    message += '\n' + neverSent.slice(0, 5).map(media => '- ' + describeMediaById(media.mediaId)).join('\n');
+    if (neverSent.length > 5) {
+      message += '\n- ...';
+    }
+  }
+
+  return message;
+}
+
+// Command to show delivery stats: over all chats for bot owners in private,
+// or for the current group for its admins
+bot.command('stats', async (ctx) => {
+  if (ctx.chat.type === 'private') {
+    if (!ctx.isOwner) {
+      return ctx.reply('You are not authorized to use this command.');
+    }
+    return ctx.reply(buildGlobalStats());
+  }
+
+  if (!(await isChatAdmin(ctx))) {
+    return ctx.reply('Only admins of this group can see its stats.');
+  }
+  ctx.reply(buildChatStats(ctx.chat.id));
+});
+
+// Owner command to see how far behind the send queue is
+bot.command('queue', (ctx) => {
+  if (!ctx.isOwner) {
+    return ctx.reply('You are not authorized to use this command.');
+  }
+
+  const status = getSendQueueStatus();
+  ctx.reply(
+    'Send queue:\n' +
+    'Waiting: ' + status.depth + (status.depth > 0 ? ' sends for ' + status.chats + (status.chats === 1 ? ' chat' : ' chats') : ' sends') + '\n' +
+    'Oldest waiting: ' + (status.oldestWaitMs / 1000).toFixed(1) + 's\n' +
+    'Last send waited: ' + (status.lastWaitMs / 1000).toFixed(1) + 's'
+  );
+});
+
+// Command to show or change the timezone schedules use in this chat
+bot.command('timezone', async (ctx) => {
+  const chatId = ctx.chat.id.toString();
+  const timezone = ctx.message.text.split(' ').slice(1).join(' ').trim();
+
+  if (!timezone) {
+    return ctx.reply('Current timezone: ' + getChatTimezone(chatId) + '\nTo change it, use: /timezone Area/City (e.g., /timezone Europe/Berlin)');
+  }
+
+  if (!(await isChatAdmin(ctx))) {
+    return ctx.reply('Only admins of this group can change its timezone.');
+  }
+
+  if (!IANAZone.isValidZone(timezone)) {
+    return ctx.reply('Unknown timezone. Please use an IANA timezone name like Europe/Berlin or America/New_York.');
+  }
+
+  chatSettings[chatId] = Object.assign({}, chatSettings[chatId], { timezone: timezone });
+  saveChatSettings();
+  logAudit(ctx, chatId, 'set the timezone to ' + timezone);
+
+  // Re-plan the chat's schedules with the new timezone
+  let message = 'Timezone set to ' + timezone + '.';
+  for (const [name] of getChatSchedules(chatId)) {
+    cancelScheduledJob(chatId, name);
+    armScheduledJob(chatId, name);
+    message += '\n\n' + describeSchedule(chatId, name);
+  }
+  ctx.reply(message);
+});
+
+// Command to set the quiet hours of this group, when schedules don't post:
+// /quiet 23:00-07:00, or /quiet off
+bot.command('quiet', onlyChatAdmins, (ctx) => {
+  const chatId = ctx.chat.id.toString();
+
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  const text = (ctx.payload || '').trim().toLowerCase();
+  const current = chatSettings[chatId] && chatSettings[chatId].quietHours;
+  if (!text) {
+    return ctx.reply((current ? 'Quiet hours: ' + current.start + '-' + current.end : 'No quiet hours set.') + ' (' + getChatTimezone(chatId) + ')\n' +
+      'Usage: /quiet 23:00-07:00 to stop schedules from posting at night, or /quiet off');
+  }
+
+  if (text === 'off') {
+    if (current) {
+      delete chatSettings[chatId].quietHours;
+      saveChatSettings();
+      logAudit(ctx, chatId, 'removed the quiet hours');
+    }
+    return ctx.reply('Quiet hours removed. Schedules post at all their times again.');
+  }
+
+  const match = /^(\d{1,2}:\d{2})\s*(?:-|to)\s*(\d{1,2}:\d{2})$/.exec(text);
+  const start = match ? parseTimeOfDay(match[1]) : null;
+  const end = match ? parseTimeOfDay(match[2]) : null;
+  if (!start || !end || start === end) {
+    return ctx.reply('Usage: /quiet 23:00-07:00 to stop schedules from posting at night, or /quiet off');
+  }
+
+  chatSettings[chatId] = Object.assign({}, chatSettings[chatId], { quietHours: { start: start, end: end } });
+  saveChatSettings();
+  logAudit(ctx, chatId, 'set the quiet hours to ' + start + '-' + end);
+  ctx.reply('Quiet hours set to ' + start + '-' + end + ' (' + getChatTimezone(chatId) + '). Scheduled posts that fall in them are skipped; one-off posts from /postat are still sent.');
+});
+
+// Command to limit the number of scheduled posts per day in this group:
+// /dailylimit 10, or /dailylimit off
+bot.command('dailylimit', onlyChatAdmins, (ctx) => {
+  const chatId = ctx.chat.id.toString();
+
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  const text = (ctx.payload || '').trim().toLowerCase();
+  const current = chatSettings[chatId] && chatSettings[chatId].dailyLimit;
+  if (!text) {
+    return ctx.reply((current ? 'Daily limit: ' + getPostsToday(chatId) + ' of ' + current + ' posts today.' : 'No daily limit set.') + '\n' +
+      'Usage: /dailylimit number, or /dailylimit off');
+  }
+
+  if (text === 'off') {
+    if (current) {
+      delete chatSettings[chatId].dailyLimit;
+      saveChatSettings();
+      logAudit(ctx, chatId, 'removed the daily limit');
+    }
+    return ctx.reply('Daily limit removed.');
+  }
+
+  const limit = parseInt(text);
+  if (isNaN(limit) || limit < 1 || String(limit) !== text) {
+    return ctx.reply('Usage: /dailylimit number, or /dailylimit off');
+  }
+
+  chatSettings[chatId] = Object.assign({}, chatSettings[chatId], { dailyLimit: limit });
+  saveChatSettings();
+  logAudit(ctx, chatId, 'set the daily limit to ' + limit + ' post(s)');
+  ctx.reply('At most ' + limit + ' scheduled post(s) per day (' + getChatTimezone(chatId) + ' time), counting all schedules of this group. ' +
+    getPostsToday(chatId) + ' sent today so far. An album counts as one post.');
+});
+
+// Setup conversations of /schedule and /editschedule. A wizard belongs to
+// the user who started it in one chat: buttons pressed and answers sent by
+// anyone else are ignored. It is dropped after WIZARD_TIMEOUT_MS without
+// input, or with /cancel. Wizards started from the /chats panel run in the
+// private chat but change the schedules of another chat (wizard.chatId).
+const WIZARD_TIMEOUT_MS = 5 * 60 * 1000;
+const scheduleWizards = {};
+
+// Help shown when asking for a schedule's timing
+const TIMING_HELP =
+  '- An interval: 30 (minutes), 90m, 3h, 1d or "every 2 hours"\n' +
+  '- Daily times: daily 09:00 or at 09:00, 18:30\n' +
+  '- A cron expression: cron 0 */2 * * *\n' +
+  'Add "between 09:00-22:00" at the end to only send inside that time window.\n' +
+  'Add tags like #funny -#nsfw to only send media with (or without) those tags.';
+
+function getScheduleWizard(ctx) {
+  return ctx.chat && ctx.from ? scheduleWizards[ctx.chat.id + ':' + ctx.from.id] : undefined;
+}
+
+// Start a wizard for the user in this chat, replacing one they already had.
+// 'mode' is 'create' or 'edit'. 'chatId' is the chat whose schedule it sets up.
+function startScheduleWizard(ctx, name, mode, step, chatId = ctx.chat.id) {
+  const existing = getScheduleWizard(ctx);
+  if (existing) {
+    endScheduleWizard(existing);
+  }
+
+  const wizard = {
+    key: ctx.chat.id + ':' + ctx.from.id,
+    chatId: chatId,
+    promptChatId: ctx.chat.id,
+    name: name,
+    mode: mode,
+    step: step,
+    mediaTypes: null,
+    // Prompts reply to the command (or the panel message whose button started
+    // the wizard), so answers reach the bot even with privacy mode on
+    commandMessageId: (ctx.message || ctx.callbackQuery.message).message_id,
+    timer: null
+  };
+  scheduleWizards[wizard.key] = wizard;
+  touchScheduleWizard(wizard);
+  return wizard;
+}
+
+// Restart the wizard's timeout after input
+function touchScheduleWizard(wizard) {
+  clearTimeout(wizard.timer);
+  wizard.timer = setTimeout(() => {
+    endScheduleWizard(wizard);
+    bot.telegram.sendMessage(wizard.promptChatId, 'The setup of ' + describeWizardSchedule(wizard) + ' timed out. Nothing was changed.', {
+      reply_to_message_id: wizard.commandMessageId,
+      allow_sending_without_reply: true
+    }).catch(() => {});
+  }, WIZARD_TIMEOUT_MS);
+}
+
+// The schedule a wizard is for, e.g. 'schedule "main"'. Wizards from the
+// /chats panel don't have a name until the user gave one.
+function describeWizardSchedule(wizard) {
+  return wizard.name ? 'schedule "' + wizard.name + '"' : 'the new schedule';
+}
+
+function endScheduleWizard(wizard) {
+  clearTimeout(wizard.timer);
+  if (scheduleWizards[wizard.key] === wizard) {
+    delete scheduleWizards[wizard.key];
+  }
+}
+
+// Middleware for wizard buttons: only the user who started the wizard may
+// press them, and only while it's at the step the button belongs to. Buttons
+// that carry a schedule name must be for the wizard's schedule.
+function onlyWizardOwner(step) {
+  return (ctx, next) => {
+    const wizard = getScheduleWizard(ctx);
+    if (!wizard || wizard.step !== step || (ctx.match[1] && ctx.match[1] !== wizard.name)) {
+      return ctx.answerCbQuery('These buttons belong to someone else\'s or an expired setup. Use /schedule or /editschedule to start your own.', { show_alert: true });
+    }
+    ctx.wizard = wizard;
+    touchScheduleWizard(wizard);
+    return next();
+  };
+}
+
+// Reply to the command that started the wizard, asking for an answer
+function wizardPrompt(ctx, wizard, text) {
+  return ctx.reply(text, {
+    reply_to_message_id: wizard.commandMessageId,
+    allow_sending_without_reply: true,
+    reply_markup: { force_reply: true, selective: true }
+  });
+}
+
+// Inline keyboard for picking the media kinds of a schedule. The current
+// selection is kept in the buttons as a bitmask over MEDIA_KINDS.
+function mediaTypeKeyboard(name, selected = []) {
+  const kinds = Object.keys(MEDIA_KINDS);
+  const mask = kinds.reduce((bits, kind, index) => selected.includes(kind) ? bits | (1 << index) : bits, 0);
+
+  const buttons = kinds.map((kind, index) => ({
+    text: (selected.includes(kind) ? '✅ ' : '') + capitalize(MEDIA_KINDS[kind].plural) + ' (' + mediaStores[kind].length + ')',
+    callback_data: 'mt:' + name + ':' + (mask ^ (1 << index))
+  }));
+
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  rows.push([{ text: 'Videos + images (mix)', callback_data: 'mtok:' + name + ':3' }]);
+  rows.push(mask
+    ? [{ text: 'Done', callback_data: 'mtok:' + name + ':' + mask }, { text: '✖ Cancel', callback_data: 'wzx' }]
+    : [{ text: '✖ Cancel', callback_data: 'wzx' }]);
+
+  return { reply_markup: { inline_keyboard: rows } };
+}
+
+// Turn a media kind bitmask from a keyboard button back into kinds
+function maskToMediaTypes(mask) {
+  return Object.keys(MEDIA_KINDS).filter((kind, index) => mask & (1 << index));
+}
+
+// Create or update a schedule of a chat from a timing answer like "every 2h #funny".
+// Tags in the answer set the schedule's tag filter. Returns false if the
+// timing couldn't be understood.
+function applyScheduleTiming(ctx, chatId, name, mediaTypes, text) {
+  // Changes made from the /chats panel can't be followed up with group commands
+  const isRemote = String(chatId) !== String(ctx.chat.id);
+  const tagFilter = parseTagFilter(text);
+  const timing = parseTiming(tagFilter.rest);
+  if (!timing) {
+    return false;
+  }
+
+  const isUpdate = Boolean(scheduleData[chatId] && scheduleData[chatId][name]);
+  console.log('Creating scheduled job "' + name + '" with timing: ' + JSON.stringify(timing) + ' and mediaTypes: ' + mediaTypes.join(', '));
+
+  const hasTagFilter = tagFilter.include.length > 0 || tagFilter.exclude.length > 0;
+  createScheduledJob(chatId, name, timing, mediaTypes, hasTagFilter
+    ? { tagFilter: { include: tagFilter.include, exclude: tagFilter.exclude } }
+    : {});
+  logAudit(ctx, chatId, (isUpdate ? 'changed' : 'created') + ' schedule "' + name + '": ' + describeMediaTypes(mediaTypes) +
+    (hasTagFilter ? ' ' + describeTagFilter(tagFilter) : '') + ' ' + describeTiming(timing));
+
+  const timezone = getChatTimezone(chatId);
+  const nextRuns = getNextFireTimes(timing, timezone, new Date(), 3);
+
+  ctx.reply(
+    (isUpdate ? 'Updated schedule "' + name + '"! ' : 'Scheduled "' + name + '"! ') +
+    'I will send ' + describeMediaTypes(mediaTypes) +
+    (scheduleData[chatId][name].tagFilter ? ' ' + describeTagFilter(scheduleData[chatId][name].tagFilter) : '') +
+    ' ' + describeTiming(timing) + ' (' + timezone + ').\n' +
+    (scheduleData[chatId][name].paused ? 'The schedule is paused, ' + (isRemote ? 'resume it in /chats' : 'use /resume ' + name) + ' to start it.\n' : '') +
+    (nextRuns.length > 0 ? 'Next posts:\n' + formatFireTimes(nextRuns, timezone) : 'This timing never matches, so nothing will be sent.') +
+    (isRemote
+      ? '\nUse /chats to manage it.'
+      : '\nUse /status ' + name + ' to check on it, or /stop ' + name + ' to stop sending media.')
+  );
+  return true;
+}
+
+// Command for users to schedule media sending
+bot.command('schedule', onlyChatAdmins, (ctx) => {
+  const chatId = ctx.chat.id;
+  
+  // Check if this is a group or private chat
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  // Check if there are any media items
+  if (getAllMedia().length === 0) {
+    return ctx.reply('No media available. Please ask the admin to add some media first.');
+  }
+
+  const name = ctx.payload ? parseScheduleName(ctx.payload) : DEFAULT_SCHEDULE_NAME;
+  if (!name) {
+    return ctx.reply('Schedule names can only contain letters, numbers, - and _ (up to 32 characters).');
+  }
+
+  if (scheduleData[chatId] && scheduleData[chatId][name]) {
+    return ctx.reply('This group already has a schedule named "' + name + '".\nUse /editschedule ' + name + ' to change it, or /schedule <name> to add another one (e.g., /schedule evening).');
+  }
+
+  startScheduleWizard(ctx, name, 'create', 'mediaTypes');
+
+  // Ask user what type of media they want
+  ctx.reply('What should the "' + name + '" schedule send? Tap the kinds of media to include, then Done. /cancel stops the setup.', mediaTypeKeyboard(name));
+});
+
+// Command to change the media kinds or the timing of an existing schedule,
+// keeping everything else. '/editschedule [name] <timing>' changes the
+// timing right away; without a timing it asks what to change.
+bot.command('editschedule', onlyChatAdmins, (ctx) => {
+  const chatId = ctx.chat.id;
+
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  // The first word is the schedule name if the chat has a schedule of that name
+  const words = (ctx.payload || '').trim().split(/\s+/).filter(Boolean);
+  const firstName = words.length > 0 ? parseScheduleName(words[0]) : null;
+  const named = Boolean(firstName && scheduleData[chatId] && scheduleData[chatId][firstName]);
+  const name = resolveScheduleName(ctx, named ? firstName : '');
+  if (!name) {
+    return;
+  }
+
+  const data = scheduleData[chatId][name];
+  const timingText = (named ? words.slice(1) : words).join(' ');
+  if (timingText) {
+    if (!applyScheduleTiming(ctx, chatId, name, data.mediaTypes, timingText)) {
+      ctx.reply('I could not understand that timing. You can use:\n' + TIMING_HELP);
+    }
+    return;
+  }
+
+  startScheduleWizard(ctx, name, 'edit', 'menu');
+  replyEditScheduleMenu(ctx, name, data);
+});
+
+// Ask what to change in a schedule, for /editschedule and the /chats panel
+function replyEditScheduleMenu(ctx, name, data) {
+  return ctx.reply('Editing schedule "' + name + '": ' + describeMediaTypes(data.mediaTypes) + ' ' + describeTiming(data.timing) + '.\nWhat do you want to change?', {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: 'Media kinds', callback_data: 'wze:media' }, { text: 'Timing', callback_data: 'wze:timing' }],
+        [{ text: '✖ Cancel', callback_data: 'wzx' }]
+      ]
+    }
+  });
+}
+
+// Pick what to change in /editschedule
+bot.action(/^wze:(?:media|timing)$/, onlyChatAdmins, onlyWizardOwner('menu'), (ctx) => {
+  const wizard = ctx.wizard;
+  const data = scheduleData[wizard.chatId] && scheduleData[wizard.chatId][wizard.name];
+  ctx.answerCbQuery();
+  if (!data) {
+    endScheduleWizard(wizard);
+    return ctx.editMessageText('Schedule "' + wizard.name + '" no longer exists.');
+  }
+
+  if (ctx.callbackQuery.data === 'wze:media') {
+    wizard.step = 'mediaTypes';
+    return ctx.editMessageText('Tap the kinds of media "' + wizard.name + '" should send, then Done.', mediaTypeKeyboard(wizard.name, data.mediaTypes));
+  }
+
+  wizard.step = 'timing';
+  ctx.editMessageReplyMarkup(undefined).catch(() => {});
+  return wizardPrompt(ctx, wizard, 'When should "' + wizard.name + '" send media? It currently sends ' + describeTiming(data.timing) + '. You can reply with:\n' + TIMING_HELP);
+});
+
+// Handle toggling a media kind on the selection keyboard
+bot.action(/^mt:([a-z0-9_-]{1,32}):(\d+)$/, onlyChatAdmins, onlyWizardOwner('mediaTypes'), (ctx) => {
+  const selected = maskToMediaTypes(parseInt(ctx.match[2]));
+  ctx.answerCbQuery();
+  return ctx.editMessageReplyMarkup(mediaTypeKeyboard(ctx.match[1], selected).reply_markup);
+});
+
+// Handle confirming the media kinds for a schedule. New schedules go on to
+// the timing; edited ones keep their timing and are updated right away.
+bot.action(/^mtok:([a-z0-9_-]{1,32}):(\d+)$/, onlyChatAdmins, onlyWizardOwner('mediaTypes'), (ctx) => {
+  const wizard = ctx.wizard;
+  const mediaTypes = maskToMediaTypes(parseInt(ctx.match[2]));
+  if (mediaTypes.length === 0) {
+    return ctx.answerCbQuery('Pick at least one kind of media.');
+  }
+  ctx.answerCbQuery();
+  ctx.editMessageReplyMarkup(undefined).catch(() => {});
+
+  if (wizard.mode === 'edit') {
+    endScheduleWizard(wizard);
+    const data = scheduleData[wizard.chatId] && scheduleData[wizard.chatId][wizard.name];
+    if (!data) {
+      return ctx.reply('Schedule "' + wizard.name + '" no longer exists.');
+    }
+    createScheduledJob(wizard.chatId, wizard.name, data.timing, mediaTypes);
+    logAudit(ctx, wizard.chatId, 'changed schedule "' + wizard.name + '" to send ' + describeMediaTypes(mediaTypes));
+    return ctx.reply('Schedule "' + wizard.name + '" now sends ' + describeMediaTypes(mediaTypes) + ' ' + describeTiming(data.timing) + '.');
+  }
+
+  wizard.mediaTypes = mediaTypes;
+  wizard.step = 'timing';
+  wizardPrompt(ctx, wizard,
+    'Sending ' + describeMediaTypes(mediaTypes) + '. When should I send media? You can reply with:\n' + TIMING_HELP + '\n' +
+    'Times use the group timezone (' + getChatTimezone(wizard.chatId) + '), change it with /timezone.'
+  );
+});
+
+// Cancel button of the wizard keyboards
+bot.action('wzx', (ctx) => {
+  const wizard = getScheduleWizard(ctx);
+  if (!wizard) {
+    return ctx.answerCbQuery('This setup has already ended.');
+  }
+  endScheduleWizard(wizard);
+  ctx.answerCbQuery('Cancelled.');
+  return ctx.editMessageText('Setup of ' + describeWizardSchedule(wizard) + ' cancelled. Nothing was changed.');
+});
+
+// Answer to the timing question of a wizard
+function handleTimingReply(ctx, wizard) {
+  const data = scheduleData[wizard.chatId] && scheduleData[wizard.chatId][wizard.name];
+  const mediaTypes = wizard.mode === 'edit' ? data && data.mediaTypes : wizard.mediaTypes;
+  if (!mediaTypes) {
+    endScheduleWizard(wizard);
+    return ctx.reply('Schedule "' + wizard.name + '" no longer exists.');
+  }
+
+  if (!applyScheduleTiming(ctx, wizard.chatId, wizard.name, mediaTypes, ctx.message.text)) {
+    touchScheduleWizard(wizard);
+    return ctx.reply('I could not understand that timing. Examples: 30, 3h, every 2 days, daily 09:00, cron 0 */2 * * *\nSend another one, or /cancel to stop.');
+  }
+  endScheduleWizard(wizard);
+}
+
+// Answer to the name question of a wizard started with the /chats panel's
+// New schedule button
+function handleScheduleNameReply(ctx, wizard) {
+  touchScheduleWizard(wizard);
+  const name = parseScheduleName(ctx.message.text);
+  if (!name) {
+    return ctx.reply('Schedule names can only contain letters, numbers, - and _ (up to 32 characters). Send another one, or /cancel to stop.');
+  }
+  if (scheduleData[wizard.chatId] && scheduleData[wizard.chatId][name]) {
+    return ctx.reply('That chat already has a schedule named "' + name + '". Send another name, or /cancel to stop.');
+  }
+
+  wizard.name = name;
+  wizard.step = 'mediaTypes';
+  ctx.reply('What should the "' + name + '" schedule send? Tap the kinds of media to include, then Done. /cancel stops the setup.', mediaTypeKeyboard(name));
+}
+
+// Command to stop the schedule setup or media edit the user is in
+bot.command('cancel', (ctx) => {
+  const wizard = getScheduleWizard(ctx);
+  if (wizard) {
+    endScheduleWizard(wizard);
+    return ctx.reply('Setup of ' + describeWizardSchedule(wizard) + ' cancelled. Nothing was changed.');
+  }
+  if (ctx.session && ctx.session.pendingMediaEdit) {
+    delete ctx.session.pendingMediaEdit;
+    return ctx.reply('Nothing was changed.');
+  }
+  ctx.reply('There is nothing to cancel.');
+});
+
+// Work out which schedule a command refers to: the name given after the
+// command (or in 'nameText'), or the only schedule of the chat. Replies and
+// returns null if there's no such schedule.
+function resolveScheduleName(ctx, nameText = ctx.payload) {
+  const chatId = ctx.chat.id;
+  const chatSchedules = getChatSchedules(chatId);
+
+  if (!nameText) {
+    if (chatSchedules.length === 1) {
+      return chatSchedules[0][0];
+    }
+    ctx.reply(chatSchedules.length === 0
+      ? 'No scheduled media sending found for this group.'
+      : 'This group has several schedules, please name one: ' + chatSchedules.map(([name]) => name).join(', '));
+    return null;
+  }
+
+  const name = parseScheduleName(nameText);
+  if (!name || !scheduleData[chatId] || !scheduleData[chatId][name]) {
+    ctx.reply('No schedule named "' + nameText.trim() + '" in this group. Use /schedules to see them.');
+    return null;
+  }
+
+  return name;
+}
+
+// Command to list the schedules of this chat
+bot.command('schedules', (ctx) => {
+  const chatId = ctx.chat.id;
+  const chatSchedules = getChatSchedules(chatId);
+
+  if (chatSchedules.length === 0) {
+    return ctx.reply('No scheduled media sending found for this group. Use /schedule to set one up.');
+  }
+
+  let message = 'Schedules in this group (' + getChatTimezone(chatId) + '):\n\n';
+  for (const [name] of chatSchedules) {
+    message += describeSchedule(chatId, name) + '\n\n';
+  }
+  message += 'Manage them with /editschedule, /pause, /resume, /deleteschedule or /stop followed by the schedule name.';
+
+  ctx.reply(message);
+});
+
+// Describe one schedule in detail for /status: its settings, rotation
+// progress, last post and next runs
+function describeScheduleStatus(chatId, name) {
+  const data = scheduleData[chatId][name];
+  const timezone = getChatTimezone(chatId);
+  const formatDate = (date) => DateTime.fromJSDate(date, { zone: timezone }).toFormat('ccc, dd LLL yyyy HH:mm');
+
+  let message = 'Schedule "' + name + '": ' + describeMediaTypes(data.mediaTypes) + ' ' + describeTiming(data.timing) + ' (' + timezone + ')\n';
+  if (data.tagFilter) {
+    message += 'Only media ' + describeTagFilter(data.tagFilter) + '\n';
+  }
+  if (data.mediaFilter) {
+    message += 'Only media ' + describeMediaFilter(data.mediaFilter) + '\n';
+  }
+  if (data.batchSize > 1) {
+    message += 'Albums of ' + data.batchSize + (data.albumCaption ? ' with caption "' + data.albumCaption + '"' : '') + '\n';
+  }
+  message += 'State: ' + (data.paused ? 'paused' + (data.pausedReason ? ' (' + data.pausedReason + ')' : '') : 'active') + '\n';
+
+  message += 'Order: ' + ORDER_STRATEGIES[data.order || 'random'] + '\n';
+  if (data.tagWeights) {
+    message += 'Tag weights: ' + Object.entries(data.tagWeights).map(([tag, weight]) => '#' + tag + '=' + weight).join(' ') + '\n';
+  }
+
+  const pool = getScheduleMedia(chatId, name);
+  if (data.order === 'weighted') {
+    message += 'Picking from ' + pool.length + ' items\n';
+  } else {
+    const poolIds = new Set(pool.map(media => media.mediaId));
+    const sent = ((rotationState[chatId] && rotationState[chatId][name]) || []).filter(mediaId => poolIds.has(mediaId));
+    message += 'Rotation: ' + sent.length + ' of ' + pool.length + ' items sent this cycle\n';
+  }
+
+  const chatStats = deliveryStats.chats[String(chatId)];
+  const lastPostAt = chatStats && chatStats.schedules[name] ? chatStats.schedules[name].lastPostAt : null;
+  message += 'Last post: ' + (lastPostAt ? formatDate(new Date(lastPostAt)) : 'none yet') + '\n';
+
+  if (!data.paused) {
+    // Runs in quiet hours are skipped, so they aren't shown
+    const nextRuns = getNextFireTimes(data.timing, timezone, new Date(), 50).filter(date => !isQuietTime(chatId, date)).slice(0, 3);
+    message += nextRuns.length > 0 ? 'Next posts:\n' + formatFireTimes(nextRuns, timezone) : 'This timing never matches outside the quiet hours, so nothing will be sent.';
+  }
+  return message.trim();
+}
+
+// Command to show the state of one or all of the chat's schedules
+bot.command('status', (ctx) => {
+  const chatId = ctx.chat.id;
+
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  const chatSchedules = getChatSchedules(chatId);
+  if (chatSchedules.length === 0) {
+    return ctx.reply('No scheduled media sending found for this group. Use /schedule to set one up.');
+  }
+
+  let names = chatSchedules.map(([name]) => name);
+  if (ctx.payload) {
+    const name = resolveScheduleName(ctx);
+    if (!name) {
+      return;
+    }
+    names = [name];
+  }
+
+  const limits = describeChatLimits(chatId);
+  ctx.reply(names.map(name => describeScheduleStatus(chatId, name)).join('\n\n') + (limits ? '\n\n' + limits : ''));
+});
+
+// Set the paused state of the named schedule, or of all schedules of the chat
+function setSchedulesPaused(ctx, paused) {
+  const chatId = ctx.chat.id;
+
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  let names;
+  if (ctx.payload) {
+    const name = resolveScheduleName(ctx);
+    if (!name) {
+      return;
+    }
+    names = [name];
+  } else {
+    names = getChatSchedules(chatId).map(([name]) => name);
+    if (names.length === 0) {
+      return ctx.reply('No scheduled media sending found for this group.');
+    }
+  }
+
+  for (const name of names) {
+    setSchedulePaused(chatId, name, paused, ctx);
+  }
+
+  ctx.reply((paused ? 'Paused: ' : 'Resumed: ') + names.join(', ') + (paused ? '\nUse /resume to continue sending.' : ''));
+}
+
+// Command to pause schedules without losing their settings or rotation
+bot.command('pause', onlyChatAdmins, (ctx) => setSchedulesPaused(ctx, true));
+
+// Command to resume paused schedules
+bot.command('resume', onlyChatAdmins, (ctx) => setSchedulesPaused(ctx, false));
+
+// Command to delete one schedule by name
+bot.command('deleteschedule', onlyChatAdmins, (ctx) => {
+  const chatId = ctx.chat.id;
+
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  const name = resolveScheduleName(ctx);
+  if (!name) {
+    return;
+  }
+
+  removeSchedule(chatId, name, ctx);
+  ctx.reply('Deleted schedule "' + name + '".');
+});
+
+// Command to set how many items a schedule posts per run, sent as one album:
+// /album [name] size [caption]
+bot.command('album', onlyChatAdmins, (ctx) => {
+  const chatId = ctx.chat.id;
+
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  const usage = 'Usage: /album [name] size [caption]\n' +
+    'Size is 1 to 10 items per post; 2 or more are sent as one album.\n' +
+    'Examples:\n/album 3\n/album evening 5 Tonight\'s picks\n/album evening 1 (back to single posts)';
+
+  const args = (ctx.payload || '').trim().split(/\s+/).filter(Boolean);
+  if (args.length === 0) {
+    return ctx.reply(usage);
+  }
+
+  // The schedule name can be left out if the group has only one schedule
+  const name = resolveScheduleName(ctx, /^\d+$/.test(args[0]) ? '' : args.shift());
+  if (!name) {
+    return;
+  }
+
+  const batchSize = parseInt(args.shift());
+  if (isNaN(batchSize) || batchSize < 1 || batchSize > 10) {
+    return ctx.reply(usage);
+  }
+
+  const albumCaption = args.join(' ');
+  if (albumCaption.length > 1024) {
+    return ctx.reply('The album caption can be at most 1024 characters long.');
+  }
+
+  scheduleData[chatId][name].batchSize = batchSize;
+  scheduleData[chatId][name].albumCaption = albumCaption;
+  saveScheduleData();
+  logAudit(ctx, chatId, 'set schedule "' + name + '" to send ' + batchSize + ' item(s) per post' + (albumCaption ? ' with the caption "' + albumCaption + '"' : ''));
+
+  if (batchSize === 1) {
+    ctx.reply('Schedule "' + name + '" will send one item per post.' + (albumCaption ? '\nCaption: ' + albumCaption : ''));
+  } else {
+    ctx.reply('Schedule "' + name + '" will send albums of ' + batchSize + ' items.' + (albumCaption ? '\nAlbum caption: ' + albumCaption : '\nEach item keeps its own caption.'));
+  }
+});
+
+// Command to limit a schedule to media with certain tags:
+// /tags [name] #include -#exclude, or /tags [name] off
+bot.command('tags', onlyChatAdmins, (ctx) => {
+  const chatId = ctx.chat.id;
+
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  const args = (ctx.payload || '').trim().split(/\s+/).filter(Boolean);
+  if (args.length === 0) {
+    return ctx.reply('Usage: /tags [name] #tag1 #tag2 -#tag3\n' +
+      'Only media with at least one of the #tags is sent, and never media with a -#tag.\n' +
+      'Use /tags [name] off to send all media again.');
+  }
+
+  // The schedule name can be left out if the group has only one schedule
+  const hasName = !args[0].startsWith('#') && !args[0].startsWith('-#') && args[0].toLowerCase() !== 'off';
+  const name = resolveScheduleName(ctx, hasName ? args.shift() : '');
+  if (!name) {
+    return;
+  }
+
+  const data = scheduleData[chatId][name];
+  if (args.length === 1 && args[0].toLowerCase() === 'off') {
+    data.tagFilter = null;
+    saveScheduleData();
+    logAudit(ctx, chatId, 'removed the tag filter of schedule "' + name + '"');
+    return ctx.reply('Schedule "' + name + '" sends media with any tags again.');
+  }
+
+  const tagFilter = parseTagFilter(args.join(' '));
+  if (tagFilter.include.length === 0 && tagFilter.exclude.length === 0) {
+    return ctx.reply('Please give tags like #funny or -#nsfw, or off.');
+  }
+
+  data.tagFilter = { include: tagFilter.include, exclude: tagFilter.exclude };
+  saveScheduleData();
+  logAudit(ctx, chatId, 'limited schedule "' + name + '" to media ' + describeTagFilter(data.tagFilter));
+
+  const matching = getScheduleMedia(chatId, name).length;
+  ctx.reply('Schedule "' + name + '" now only sends media ' + describeTagFilter(data.tagFilter) + ' (' + matching + ' item(s) match).');
+});
+
+// Command to limit a schedule to media with certain metadata:
+// /filter [name] under 60s, over 10s, under 20mb, portrait|landscape|square,
+// or /filter [name] off
+bot.command('filter', onlyChatAdmins, (ctx) => {
+  const chatId = ctx.chat.id;
+
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  const usage = 'Usage: /filter [name] conditions, e.g. /filter under 60s or /filter over 10s under 2m landscape\n' +
+    'Conditions: under/over a duration (45s, 2m, 1h), under/over a file size (20mb), portrait, landscape or square.\n' +
+    'Durations and orientation only apply to kinds that have them. Use /filter [name] off to remove the filter.';
+
+  const args = (ctx.payload || '').trim().split(/\s+/).filter(Boolean);
+  if (args.length === 0) {
+    return ctx.reply(usage);
+  }
+
+  // The schedule name can be left out if the group has only one schedule
+  const hasName = !['under', 'over', 'portrait', 'landscape', 'square', 'off'].includes(args[0].toLowerCase());
+  const name = resolveScheduleName(ctx, hasName ? args.shift() : '');
+  if (!name) {
+    return;
+  }
+
+  const data = scheduleData[chatId][name];
+  if (args.length === 1 && args[0].toLowerCase() === 'off') {
+    data.mediaFilter = null;
+    saveScheduleData();
+    logAudit(ctx, chatId, 'removed the media filter of schedule "' + name + '"');
+    return ctx.reply('Schedule "' + name + '" sends media of any length and size again.');
+  }
+
+  const mediaFilter = parseMediaFilter(args.join(' '));
+  if (!mediaFilter) {
+    return ctx.reply(usage);
+  }
+
+  data.mediaFilter = mediaFilter;
+  saveScheduleData();
+  logAudit(ctx, chatId, 'limited schedule "' + name + '" to media ' + describeMediaFilter(mediaFilter));
+
+  const matching = getScheduleMedia(chatId, name).length;
+  ctx.reply('Schedule "' + name + '" now only sends media ' + describeMediaFilter(mediaFilter) + ' (' + matching + ' item(s) match).' +
+    (matching === 0 ? '\nMedia added before the bot stored file details has none and never matches.' : ''));
+});
+
+// Largest weight an item or tag can get
+const MAX_WEIGHT = 100;
+
+// Parse a weight like 3 or 0.5, or return null if it's not a valid weight
+function parseWeight(text) {
+  const weight = Number(text);
+  return text !== '' && !isNaN(weight) && weight >= 0 && weight <= MAX_WEIGHT ? weight : null;
+}
+
+// Command to pick the order a schedule sends its media in:
+// /order [name] random|sequential|newest|fresh|weighted [#tag=weight ...]
+bot.command('order', onlyChatAdmins, (ctx) => {
+  const chatId = ctx.chat.id;
+
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  const usage = 'Usage: /order [name] strategy\nStrategies:\n' +
+    Object.entries(ORDER_STRATEGIES).map(([order, description]) => '- ' + order + ': ' + description).join('\n') + '\n' +
+    'With weighted, tags can get weights: /order [name] weighted #funny=3 #old=0.5\n' +
+    'Items without a weight of their own (see /weight) use the highest weight of their tags, or 1.';
+
+  const args = (ctx.payload || '').trim().split(/\s+/).filter(Boolean);
+
+  // The schedule name can be left out if the group has only one schedule
+  const hasName = args.length > 0 && !ORDER_STRATEGIES[args[0].toLowerCase()];
+  const name = resolveScheduleName(ctx, hasName ? args.shift() : '');
+  if (!name) {
+    return;
+  }
+
+  const data = scheduleData[chatId][name];
+  if (args.length === 0) {
+    return ctx.reply('Schedule "' + name + '" sends media in this order: ' + ORDER_STRATEGIES[data.order || 'random'] + '.\n\n' + usage);
+  }
+
+  const order = args.shift().toLowerCase();
+  if (!ORDER_STRATEGIES[order]) {
+    return ctx.reply(usage);
+  }
+
+  let tagWeights = null;
+  if (args.length > 0) {
+    if (order !== 'weighted') {
+      return ctx.reply('Tag weights only work with the weighted order.');
+    }
+    tagWeights = {};
+    for (const arg of args) {
+      const match = arg.match(/^#([\p{L}\p{N}_]+)=(.+)$/u);
+      const weight = match ? parseWeight(match[2]) : null;
+      if (weight === null) {
+        return ctx.reply('Could not read "' + arg + '". Give tag weights like #funny=3 (0 to ' + MAX_WEIGHT + ').');
+      }
+      tagWeights[match[1].toLowerCase()] = weight;
+    }
+  }
+
+  data.order = order;
+  data.tagWeights = tagWeights;
+  // Switching orders starts a new cycle, so items are picked by the new order right away
+  if (rotationState[chatId]) {
+    delete rotationState[chatId][name];
+    saveRotationState();
+  }
+  if (order === 'fresh') {
+    data.cycleStartedAt = new Date().toISOString();
+  }
+  saveScheduleData();
+  logAudit(ctx, chatId, 'set the order of schedule "' + name + '" to ' + order +
+    (tagWeights ? ' with tag weights ' + Object.entries(tagWeights).map(([tag, weight]) => '#' + tag + '=' + weight).join(' ') : ''));
+
+  ctx.reply('Schedule "' + name + '" now sends media in this order: ' + ORDER_STRATEGIES[order] +
+    (tagWeights ? ', with tag weights ' + Object.entries(tagWeights).map(([tag, weight]) => '#' + tag + '=' + weight).join(' ') : '') + '.');
+});
+
+// Parse the date and time of /postat, like "2026-11-01 18:00", in the chat's
+// timezone. Returns a luxon DateTime, or null if the date or time is invalid.
+function parsePostTime(dateText, timeText, timezone) {
+  const time = timeText ? parseTimeOfDay(timeText) : null;
+  if (!time || !/^\d{4}-\d{2}-\d{2}$/.test(dateText)) {
+    return null;
+  }
+  const dateTime = DateTime.fromISO(dateText + 'T' + time, { zone: timezone });
+  return dateTime.isValid ? dateTime : null;
+}
+
+// Command to send a message to this group once, at a set date and time:
+// /postat 2026-11-01 18:00 in reply to a media or text message, or
+// /postat 2026-11-01 18:00 text. With a reply, a text after the time
+// replaces the caption.
+bot.command('postat', onlyChatAdmins, (ctx) => {
+  const chatId = ctx.chat.id.toString();
+
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  const usage = 'Usage: /postat YYYY-MM-DD HH:MM in reply to the message to post, or /postat YYYY-MM-DD HH:MM text\n' +
+    'Example: /postat 2026-11-01 18:00\nTimes are in this group\'s timezone (' + getChatTimezone(chatId) + ').';
+
+  // The text after the time keeps its line breaks
+  const [, dateText, timeText, text] = /^(\S*)\s*(\S*)\s*([\s\S]*)$/.exec((ctx.payload || '').trim());
+  const timezone = getChatTimezone(chatId);
+  const at = parsePostTime(dateText, timeText, timezone);
+  if (!at) {
+    return ctx.reply(usage);
+  }
+  if (at.toMillis() <= Date.now()) {
+    return ctx.reply('That time has already passed. It is now ' + DateTime.now().setZone(timezone).toFormat('yyyy-MM-dd HH:mm') + ' here.');
+  }
+
+  const replied = ctx.message.reply_to_message;
+  const post = { at: at.toUTC().toISO(), createdBy: ctx.from.id, createdAt: new Date().toISOString() };
+
+  if (replied) {
+    const kind = getMessageMediaKind(replied);
+    if (kind) {
+      post.type = kind;
+      post.fileId = getMessageFile(replied, kind).file_id;
+      post.text = text || replied.caption || '';
+      if (!text && replied.caption_entities) {
+        post.entities = replied.caption_entities;
+      }
+    } else if (replied.text) {
+      post.type = 'text';
+      post.text = text || replied.text;
+      if (!text && replied.entities) {
+        post.entities = replied.entities;
       }
-    }
-    
-    if (indicesToDelete.length !== indices.length) {
-      return ctx.reply('One or more indices are invalid. Please check and try again.');
-    }
-  } 
-  // Check if it's a single index
-  else if (!isNaN(text)) {
-    const index = parseInt(text) - 1; // Convert to 0-based index
-    if (index >= 0 && index < images.length) {
-      indicesToDelete.push(index);
     } else {
-      return ctx.reply('Invalid index. Please check and try again.');
+      return ctx.reply('That message has nothing the bot can post. Reply to a media or text message.');
     }
+  } else if (text) {
+    post.type = 'text';
+    post.text = text;
   } else {
-    return ctx.reply('Invalid format. Examples:\n/deleteimages 1-3 (deletes images 1 to 3)\n/deleteimages 1,3,5 (deletes images 1, 3, and 5)');
+    return ctx.reply(usage);
   }
 
-  // Sort indices in descending order to avoid index shifting issues when deleting
-  indicesToDelete.sort((a, b) => b - a);
-  
-  // Delete images
-  const deletedImages = [];
-  for (const index of indicesToDelete) {
-    const deletedImage = images.splice(index, 1)[0];
-    deletedImages.push(deletedImage);
+  if (post.type !== 'text' && !MEDIA_KINDS[post.type].caption && post.text) {
+    return ctx.reply(capitalize(MEDIA_KINDS[post.type].plural) + ' can\'t have a caption.');
   }
-  
-  saveImages();
-  
-  ctx.reply('Successfully deleted ' + deletedImages.length + ' image(s)!');
+  if (post.text.length > (post.type === 'text' ? 4096 : MAX_CAPTION_LENGTH)) {
+    return ctx.reply('That text is too long for Telegram.');
+  }
+
+  const postId = generatePostId(chatId);
+  postData[chatId] = postData[chatId] || {};
+  postData[chatId][postId] = post;
+  savePostData();
+  armPostJob(chatId, postId);
+  logAudit(ctx, chatId, 'planned post ' + postId + ' (' + describePost(post) + ') for ' + at.toFormat('yyyy-MM-dd HH:mm'));
+
+  ctx.reply('Will post ' + describePost(post) + ' on ' + at.toFormat('ccc, dd LLL yyyy HH:mm') + ' (' + timezone + ').\n' +
+    'Use /calendar to see upcoming posts, or /deletepost ' + postId + ' to cancel it.');
 });
 
-// Admin command to list all media
-bot.command('listmedia', (ctx) => {
-  if (!ctx.isAdmin) {
-    return ctx.reply('You are not authorized to use this command.');
+// Command to cancel a one-off post: /deletepost id
+bot.command('deletepost', onlyChatAdmins, (ctx) => {
+  const chatId = ctx.chat.id.toString();
+  const postId = (ctx.payload || '').trim().toLowerCase();
+
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  if (!postId) {
+    return ctx.reply('Usage: /deletepost id\nUse /calendar to see the IDs of upcoming posts.');
+  }
+  if (!postData[chatId] || !postData[chatId][postId]) {
+    return ctx.reply('No upcoming post with ID ' + postId + ' in this group. Use /calendar to see them.');
   }
 
-  const totalMedia = videos.length + images.length;
-  ctx.reply('Total media: ' + totalMedia + '\nVideos: ' + videos.length + '\nImages: ' + images.length);
+  const post = postData[chatId][postId];
+  removePost(chatId, postId);
+  logAudit(ctx, chatId, 'cancelled post ' + postId + ' (' + describePost(post) + ')');
+  ctx.reply('Cancelled the post of ' + describePost(post) + '.');
 });
 
-// Command for users to schedule media sending
-bot.command('schedule', (ctx) => {
-  const chatId = ctx.chat.id;
-  
-  // Check if this is a group or private chat
+// Longest period /calendar can show, in days
+const MAX_CALENDAR_DAYS = 31;
+// Most posts /calendar lists
+const MAX_CALENDAR_ENTRIES = 30;
+
+// Command to list the upcoming one-off and recurring posts of this group:
+// /calendar [days], 7 days by default. Only admins see it, since it shows
+// one-off posts before they go out.
+bot.command('calendar', onlyChatAdmins, (ctx) => {
+  const chatId = ctx.chat.id.toString();
+
   if (ctx.chat.type === 'private') {
-    return ctx.reply('This command is meant to be used in groups where the bot is added.');
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
   }
 
-  // Check if there are any media items
-  if (videos.length === 0 && images.length === 0) {
-    return ctx.reply('No media available. Please ask the admin to add some videos or images first.');
+  const days = ctx.payload ? parseInt(ctx.payload) : 7;
+  if (isNaN(days) || days < 1 || days > MAX_CALENDAR_DAYS) {
+    return ctx.reply('Usage: /calendar [days], for 1 to ' + MAX_CALENDAR_DAYS + ' days (7 by default)');
   }
 
-  // Ask user what type of media they want
-  ctx.reply('What type of media would you like to receive?\n1. Videos only (/videos)\n2. Images only (/images)\n3. Mix of videos and images (/mix)', {
-    reply_markup: {
-      inline_keyboard: [
-        [{ text: 'Videos', callback_data: 'videos' }],
-        [{ text: 'Images', callback_data: 'images' }],
-        [{ text: 'Mix', callback_data: 'mix' }]
-      ]
+  const timezone = getChatTimezone(chatId);
+  const now = new Date();
+  const until = now.getTime() + days * 24 * 60 * 60 * 1000;
+  const entries = [];
+
+  for (const [postId, post] of getChatPosts(chatId)) {
+    if (new Date(post.at).getTime() <= until) {
+      entries.push({ at: new Date(post.at), text: describePost(post) + ' (one-off, ID ' + postId + ')' });
+    }
+  }
+
+  // A schedule can't add more than MAX_CALENDAR_ENTRIES entries that are shown
+  for (const [name, data] of getChatSchedules(chatId)) {
+    if (data.paused) {
+      continue;
+    }
+    for (const fireTime of getNextFireTimes(data.timing, timezone, now, MAX_CALENDAR_ENTRIES + 1)) {
+      if (fireTime.getTime() <= until && !isQuietTime(chatId, fireTime)) {
+        entries.push({ at: fireTime, text: describeMediaTypes(data.mediaTypes) + ' (schedule ' + name + ')' });
+      }
     }
+  }
+
+  if (entries.length === 0) {
+    return ctx.reply('Nothing planned for the next ' + days + ' day(s). Use /schedule or /postat to plan posts.');
+  }
+
+  entries.sort((a, b) => a.at - b.at);
+  let message = 'Upcoming posts in the next ' + days + ' day(s) (' + timezone + '):\n' +
+    entries.slice(0, MAX_CALENDAR_ENTRIES)
+      .map(entry => '- ' + DateTime.fromJSDate(entry.at, { zone: timezone }).toFormat('ccc, dd LLL HH:mm') + ': ' + entry.text)
+      .join('\n');
+  if (entries.length > MAX_CALENDAR_ENTRIES) {
+    message += '\n... and ' + (entries.length - MAX_CALENDAR_ENTRIES) + ' more';
+  }
+  const paused = getChatSchedules(chatId).filter(([, data]) => data.paused).map(([name]) => name);
+  if (paused.length > 0) {
+    message += '\n\nPaused schedules (not shown): ' + paused.join(', ');
+  }
+  const limits = describeChatLimits(chatId);
+  if (limits) {
+    message += '\n\n' + limits + '\nScheduled runs in quiet hours are not shown; runs over the daily limit are skipped.';
+  }
+  ctx.reply(message);
+});
+
+// Help on caption templates, shown by /template without arguments
+const CAPTION_TEMPLATE_HELP =
+  'Placeholders: {caption} {tags} {date} {time} {chatTitle} {schedule} {index} {total}\n' +
+  '{index}/{total} is the post\'s position in the current rotation cycle.\n' +
+  'Example: /template {caption}\n\nPost {index} of {total} in {chatTitle}\n' +
+  'Use /template off to send captions as they are, /footer to add a footer and /parsemode for bold, links and more.';
+
+// Reply with an example caption rendered with the chat's settings. Resolves
+// with false if Telegram rejects its formatting.
+async function previewCaption(ctx) {
+  const chatId = ctx.chat.id;
+  const settings = chatSettings[chatId] || {};
+  const sample = getAllMedia().find(media => media.caption) || { caption: 'Example caption', tags: ['example'] };
+  const caption = renderCaption(chatId, {
+    caption: sample.caption,
+    tags: getMediaTags(sample).map(tag => '#' + tag).join(' '),
+    chatTitle: ctx.chat.title || '',
+    schedule: DEFAULT_SCHEDULE_NAME,
+    index: 3,
+    total: 20
   });
+
+  if (!caption) {
+    await ctx.reply('Preview: posts will have no caption.');
+    return true;
+  }
+  try {
+    await ctx.reply('Preview:\n\n' + caption, settings.parseMode ? { parse_mode: settings.parseMode } : {});
+    return true;
+  } catch (error) {
+    await ctx.reply('Telegram rejected the formatting: ' + (error.response ? error.response.description : error.message));
+    return false;
+  }
+}
+
+// Change one of the chat's caption settings ('value' null removes it). The
+// change is only kept if Telegram accepts the preview.
+async function updateCaptionSetting(ctx, key, value) {
+  const chatId = ctx.chat.id;
+  const previous = chatSettings[chatId];
+
+  const settings = Object.assign({}, previous);
+  // Remember the title for {chatTitle} while we have it
+  if (ctx.chat.title) {
+    settings.title = ctx.chat.title;
+  }
+  if (value) {
+    settings[key] = value;
+  } else {
+    delete settings[key];
+  }
+  // Captions are shortened by their values, so the template and footer
+  // themselves have to fit
+  const templateLength = (settings.captionTemplate || '').length + (settings.captionFooter ? settings.captionFooter.length + 2 : 0);
+  if (templateLength > MAX_CAPTION_LENGTH) {
+    ctx.reply('The caption template and footer together can be at most ' + MAX_CAPTION_LENGTH + ' characters long. The change was not saved.');
+    return false;
+  }
+  chatSettings[chatId] = settings;
+
+  if (await previewCaption(ctx)) {
+    saveChatSettings();
+    const settingNames = { captionTemplate: 'caption template', captionFooter: 'caption footer', parseMode: 'caption parse mode' };
+    logAudit(ctx, chatId, value ? 'set the ' + settingNames[key] + ' to "' + value + '"' : 'removed the ' + settingNames[key]);
+    return true;
+  }
+
+  // Telegram couldn't parse the result, so keep the old settings
+  if (previous) {
+    chatSettings[chatId] = previous;
+  } else {
+    delete chatSettings[chatId];
+  }
+  ctx.reply('The change was not saved.');
+  return false;
+}
+
+// Command to set the group's caption template: /template <text> or /template off
+bot.command('template', onlyChatAdmins, (ctx) => {
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  const text = (ctx.payload || '').trim();
+  if (!text) {
+    const settings = chatSettings[ctx.chat.id] || {};
+    return ctx.reply('Caption template: ' + (settings.captionTemplate || '{caption} (default)') + '\n' +
+      'Footer: ' + (settings.captionFooter || 'none') + '\n' +
+      'Parse mode: ' + (settings.parseMode || 'none') + '\n\n' + CAPTION_TEMPLATE_HELP);
+  }
+
+  return updateCaptionSetting(ctx, 'captionTemplate', text.toLowerCase() === 'off' ? null : text);
 });
 
-// Handle callback queries for media type selection
-bot.action(['videos', 'images', 'mix'], (ctx) => {
-  // Initialize session if it doesn't exist
-  if (!ctx.session) {
-    ctx.session = {};
+// Command to set a footer added below every caption: /footer <text> or /footer off
+bot.command('footer', onlyChatAdmins, (ctx) => {
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  const text = (ctx.payload || '').trim();
+  if (!text) {
+    return ctx.reply('Usage: /footer <text> adds the text below every caption (placeholders like {chatTitle} work here too), /footer off removes it.');
   }
-  
-  ctx.session.selectedMediaType = ctx.match[0];
-  ctx.reply('Please specify the interval in minutes for sending media (e.g., 30 for every 30 minutes):');
-  
-  // Acknowledge the button press
-  ctx.answerCbQuery();
+
+  return updateCaptionSetting(ctx, 'captionFooter', text.toLowerCase() === 'off' ? null : text);
 });
 
-// Handle text messages (for interval input)
-bot.on('text', (ctx) => {
-  const chatId = ctx.chat.id;
-  
-  console.log('Received text message: ' + ctx.message.text);
-  console.log('Session data: ' + JSON.stringify(ctx.session));
-  
-  // Check if we're waiting for interval input
-  if (ctx.session && ctx.session.selectedMediaType && 
-      ctx.message.text && !isNaN(ctx.message.text) && parseInt(ctx.message.text) > 0) {
-    const interval = parseInt(ctx.message.text);
-    const mediaType = ctx.session.selectedMediaType;
-    
-    console.log('Creating scheduled job with interval: ' + interval + ' and mediaType: ' + mediaType);
-    
-    // Create scheduled job
-    createScheduledJob(chatId, interval, mediaType);
-    
-    // Clear session
-    delete ctx.session.selectedMediaType;
-    
-    let mediaTypeName = '';
-    switch(mediaType) {
-      case 'videos':
-        mediaTypeName = 'videos';
-        break;
-      case 'images':
-        mediaTypeName = 'images';
-        break;
-      case 'mix':
-        mediaTypeName = 'mixed videos and images';
-        break;
-    }
-    
-    ctx.reply('Scheduled! I will send ' + mediaTypeName + ' every ' + interval + ' minutes. Use /stop to stop sending media.');
-  } else if (ctx.session && ctx.session.selectedMediaType) {
-    // If we're waiting for interval but didn't get a valid number
-    ctx.reply('Please enter a valid number for the interval (in minutes):');
+// Command to pick how captions are formatted: /parsemode html|markdown|off
+bot.command('parsemode', onlyChatAdmins, (ctx) => {
+  if (ctx.chat.type === 'private') {
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
+  }
+
+  const mode = (ctx.payload || '').trim().toLowerCase();
+  if (mode !== 'off' && !PARSE_MODES[mode]) {
+    return ctx.reply('Usage: /parsemode html|markdown|off\n' +
+      'With html the template and footer can use <b>bold</b>, <i>italic</i> and <a href="https://example.com">links</a>; markdown uses Telegram\'s MarkdownV2. ' +
+      'Captions of the media themselves are always shown as plain text.');
   }
+
+  return updateCaptionSetting(ctx, 'parseMode', mode === 'off' ? null : PARSE_MODES[mode]);
 });
 
-// Command to stop scheduled media sending
-bot.command('stop', (ctx) => {
+// Command to stop scheduled media sending: /stop stops every schedule of the
+// chat, /stop <name> only the named one
+bot.command('stop', onlyChatAdmins, (ctx) => {
   const chatId = ctx.chat.id.toString(); // Ensure chatId is a string for consistent comparison
   
   console.log('Stop command received in chat:', chatId);
-  console.log('Current schedules:', Object.keys(schedules));
-  console.log('Current scheduleData:', Object.keys(scheduleData));
   
   if (ctx.chat.type === 'private') {
-    return ctx.reply('This command is meant to be used in groups where the bot is added.');
+    return ctx.reply('This command is meant to be used in groups where the bot is added. To manage a group or channel from a private chat, use /chats.');
   }
   
-  // Check if there's a scheduled job for this chat
-  if (schedules[chatId]) {
-    schedules[chatId].cancel();
-    delete schedules[chatId];
-    delete scheduleData[chatId];
-    saveScheduleData();
+  if (ctx.payload) {
+    const name = resolveScheduleName(ctx);
+    if (!name) {
+      return;
+    }
     
-    // Also clear sent media tracking for this chat
-    delete sentMediaTracking[chatId];
+    removeSchedule(chatId, name, ctx);
+    ctx.reply('Stopped scheduled media sending for "' + name + '".');
+    console.log('Successfully stopped schedule "' + name + '" for chat:', chatId);
+    return;
+  }
+  
+  const names = getChatSchedules(chatId).map(([name]) => name);
+  
+  if (names.length > 0) {
+    for (const name of names) {
+      removeSchedule(chatId, name, ctx);
+    }
     
-    ctx.reply('Stopped scheduled media sending.');
+    ctx.reply('Stopped scheduled media sending (' + names.join(', ') + ').');
     console.log('Successfully stopped scheduled media sending for chat:', chatId);
-  } else if (scheduleData[chatId]) {
-    // Handle case where job might not be in memory but is in data file
-    delete scheduleData[chatId];
-    saveScheduleData();
-    
-    // Also clear sent media tracking for this chat
-    delete sentMediaTracking[chatId];
-    
-    ctx.reply('Stopped scheduled media sending.');
-    console.log('Successfully stopped scheduled media sending for chat (from data only):', chatId);
   } else {
     ctx.reply('No scheduled media sending found for this group.');
     console.log('No scheduled media sending found for chat:', chatId);
   }
 });
 
+// Private control panel for the groups and channels the bot is in, opened
+// with /chats. Users see the chats they are admins of (bot owners see all)
+// and can add, edit, pause and stop their schedules. Every button checks the
+// user's admin rights in the chat it's for again.
+
+// Chats the user can manage from the panel
+async function getManageableChats(ctx) {
+  const chats = await getKnownGroups(ctx.telegram);
+  const allowed = await Promise.all(chats.map(chat => ctx.isOwner || isUserChatAdmin(ctx.telegram, chat.chatId, ctx.from.id)));
+  return chats.filter((chat, index) => allowed[index]);
+}
+
+// Text and keyboard of the list of manageable chats
+async function buildChatList(ctx) {
+  const chats = await getManageableChats(ctx);
+  if (chats.length === 0) {
+    return {
+      text: 'You are not an admin of any group or channel the bot is in. Add the bot to one first; in channels it has to be an admin.',
+      keyboard: []
+    };
+  }
+  return {
+    text: 'Which chat do you want to manage?',
+    keyboard: chats.slice(0, 50).map(chat => [{
+      text: (chat.type === 'channel' ? '📢 ' : '👥 ') + chat.title,
+      callback_data: 'cp:' + chat.chatId
+    }])
+  };
+}
+
+// Text and keyboard of the panel of one chat
+function buildChatPanel(chatId) {
+  const title = (chatSettings[chatId] && chatSettings[chatId].title) || chatId;
+  const chatSchedules = getChatSchedules(chatId);
+
+  const limits = describeChatLimits(chatId);
+  let text = title + ' (' + getChatTimezone(chatId) + ')\n' + (limits ? limits + '\n' : '') + '\n';
+  text += chatSchedules.length > 0
+    ? chatSchedules.map(([name]) => describeSchedule(chatId, name)).join('\n\n')
+    : 'No schedules yet.';
+
+  const keyboard = chatSchedules.map(([name, data]) => [
+    data.paused
+      ? { text: '▶ Resume ' + name, callback_data: 'cp:' + chatId + ':resume:' + name }
+      : { text: '⏸ Pause ' + name, callback_data: 'cp:' + chatId + ':pause:' + name },
+    { text: '✏ Edit', callback_data: 'cp:' + chatId + ':edit:' + name },
+    { text: '🗑 Stop', callback_data: 'cp:' + chatId + ':stop:' + name }
+  ]);
+  keyboard.push([{ text: '➕ New schedule', callback_data: 'cp:' + chatId + ':new' }]);
+  keyboard.push([{ text: '« All chats', callback_data: 'cp:list' }]);
+
+  return { text: text, keyboard: keyboard };
+}
+
+// Show a chat's panel in place of the panel message
+function showChatPanel(ctx, chatId) {
+  const panel = buildChatPanel(chatId);
+  return ctx.editMessageText(panel.text, { reply_markup: { inline_keyboard: panel.keyboard } }).catch(() => {});
+}
+
+// Middleware for panel buttons: the chat ID in the button must be a chat the
+// user is an admin of
+async function onlyPanelChatAdmins(ctx, next) {
+  const chatId = ctx.match[1];
+  if (ctx.isOwner || await isUserChatAdmin(ctx.telegram, chatId, ctx.from.id)) {
+    ctx.panelChatId = chatId;
+    return next();
+  }
+  return ctx.answerCbQuery('Only admins of that chat can change its schedules.', { show_alert: true });
+}
+
+// Command to open the control panel
+bot.command('chats', async (ctx) => {
+  if (ctx.chat.type !== 'private') {
+    return ctx.reply('Use /chats in a private chat with the bot to manage your groups and channels from there.');
+  }
+
+  const list = await buildChatList(ctx);
+  ctx.reply(list.text, { reply_markup: { inline_keyboard: list.keyboard } });
+});
+
+bot.action('cp:list', async (ctx) => {
+  ctx.answerCbQuery();
+  const list = await buildChatList(ctx);
+  return ctx.editMessageText(list.text, { reply_markup: { inline_keyboard: list.keyboard } }).catch(() => {});
+});
+
+bot.action(/^cp:(-\d+)$/, onlyPanelChatAdmins, (ctx) => {
+  ctx.answerCbQuery();
+  return showChatPanel(ctx, ctx.panelChatId);
+});
+
+// Start the setup of a new schedule for the chat. The wizard asks for a name
+// first, since there is no command to give it with.
+bot.action(/^cp:(-\d+):new$/, onlyPanelChatAdmins, (ctx) => {
+  if (getAllMedia().length === 0) {
+    return ctx.answerCbQuery('No media available. Please ask the admin to add some media first.', { show_alert: true });
+  }
+  ctx.answerCbQuery();
+
+  const wizard = startScheduleWizard(ctx, null, 'create', 'name', ctx.panelChatId);
+  const hasDefault = Boolean(scheduleData[ctx.panelChatId] && scheduleData[ctx.panelChatId][DEFAULT_SCHEDULE_NAME]);
+  return wizardPrompt(ctx, wizard, 'What should the new schedule be called? Letters, numbers, - and _ only' +
+    (hasDefault ? '.' : ', e.g. ' + DEFAULT_SCHEDULE_NAME + '.') + ' /cancel stops the setup.');
+});
+
+bot.action(/^cp:(-\d+):(pause|resume|edit|stop|stopok):([a-z0-9_-]{1,32})$/, onlyPanelChatAdmins, (ctx) => {
+  const chatId = ctx.panelChatId;
+  const action = ctx.match[2];
+  const name = ctx.match[3];
+  const data = scheduleData[chatId] && scheduleData[chatId][name];
+  if (!data) {
+    ctx.answerCbQuery('Schedule "' + name + '" no longer exists.');
+    return showChatPanel(ctx, chatId);
+  }
+
+  switch (action) {
+    case 'pause':
+    case 'resume':
+      setSchedulePaused(chatId, name, action === 'pause', ctx);
+      ctx.answerCbQuery(action === 'pause' ? 'Paused.' : 'Resumed.');
+      return showChatPanel(ctx, chatId);
+    case 'edit':
+      ctx.answerCbQuery();
+      startScheduleWizard(ctx, name, 'edit', 'menu', chatId);
+      return replyEditScheduleMenu(ctx, name, data);
+    case 'stop':
+      ctx.answerCbQuery();
+      return ctx.editMessageReplyMarkup({
+        inline_keyboard: [[
+          { text: '🗑 Yes, stop ' + name, callback_data: 'cp:' + chatId + ':stopok:' + name },
+          { text: '✖ Cancel', callback_data: 'cp:' + chatId }
+        ]]
+      }).catch(() => {});
+    case 'stopok':
+      removeSchedule(chatId, name, ctx);
+      ctx.answerCbQuery('Stopped "' + name + '".');
+      return showChatPanel(ctx, chatId);
+  }
+});
+
 // Help command
 bot.command('help', (ctx) => {
-  if (ctx.isAdmin) {
+  if (ctx.isEditor) {
     ctx.reply(
       'Admin commands:\n' +
       '/addvideo - Add a video to the collection\n' +
       '/addimage - Add an image to the collection\n' +
-      '/listvideos - List all videos in the collection (with delete links)\n' +
-      '/listimages - List all images in the collection (with delete links)\n' +
+      '/addmedia - Add a GIF, document, audio track, voice note, video note or sticker\n' +
+      '/listvideos - Browse the videos: page through them, edit captions and tags, send or delete them\n' +
+      '/listimages - Browse the images the same way\n' +
+      '/listgifs, /listdocuments, /listaudios, /listvoices, /listvideonotes, /liststickers - Browse other media\n' +
       '/deletevideos start-end or index1,index2,... - Delete multiple videos\n' +
       '/deleteimages start-end or index1,index2,... - Delete multiple images\n' +
-      '/listmedia - Show total count of all media\n\n' +
-      'User commands (in groups):\n' +
-      '/schedule - Schedule media sending\n' +
-      '/stop - Stop scheduled media sending\n' +
+      '/deletegifs, /deletedocuments, ... - Delete multiple items of other kinds the same way\n' +
+      '/listmedia - Show total count of all media, including local files\n' +
+      '/listvideos #tag, /listimages #tag, ... - Browse only media with (or -#without) a tag\n' +
+      '/retag kind number #tag1 #tag2 - Replace the tags of an item\n' +
+      '/listtags - List all tags\n' +
+      '/setcaption kind number caption - Change the caption of a media item\n' +
+      '/weight kind number weight - Set how often an item comes up in weighted schedules\n' +
+      '/sources - List the channels new media is taken from\n' +
+      (ctx.isOwner
+        ? '/grant owner|editor userId - Give a user a bot role\n' +
+          '/revoke userId - Remove a user\'s bot role\n' +
+          '/roles - List bot owners and editors\n' +
+          '/addsource @channel #tag - Add new media posted in a channel automatically\n' +
+          '/removesource @channel - Stop taking media from a channel\n' +
+          '/dedup [merge] - Find duplicate media and merge them\n' +
+          '/rescan - Pick up files added to or removed from the local media folder\n' +
+          '/trash - List deleted media, kept for ' + TRASH_RETENTION_DAYS + ' days\n' +
+          '/restore 1-3 or all - Put items from the trash back\n' +
+          '/emptytrash - Delete everything in the trash for good\n' +
+          '/audit [page] - Browse the log of changes made by admins\n' +
+          '/export - Download a backup of everything the bot keeps\n' +
+          '/import [merge|replace] [dryrun] - Import a backup (as caption of the file or in reply to it)\n' +
+          '/stats - Delivery stats over all chats (in a group: stats of that group)\n' +
+          '/queue - Show how many sends are waiting and how late they are\n\n'
+        : 'Deleting media needs the owner role.\n\n') +
+      'User commands (in groups, changes need group admin rights):\n' +
+      '/schedule [name] - Schedule media sending (several named schedules are allowed)\n' +
+      '/schedules - List the schedules of this group\n' +
+      '/status [name] - Show a schedule\'s state, rotation, last post and next runs\n' +
+      '/editschedule [name] [timing] - Change the media kinds or timing of a schedule\n' +
+      '/cancel - Stop a schedule setup you started\n' +
+      '/pause [name] - Pause one or all schedules\n' +
+      '/resume [name] - Resume one or all schedules\n' +
+      '/deleteschedule name - Delete a schedule\n' +
+      '/album [name] size [caption] - Send 1-10 items per post as one album\n' +
+      '/tags [name] #tag -#tag - Only send media with (or without) certain tags\n' +
+      '/filter [name] under 60s - Only send media of a certain length, size or orientation\n' +
+      '/order [name] strategy - Send media randomly, in upload order, newest first, new first or weighted\n' +
+      '/postat YYYY-MM-DD HH:MM - Post the message you reply to once, at that time\n' +
+      '/deletepost id - Cancel a post set with /postat\n' +
+      '/calendar [days] - List upcoming posts\n' +
+      '/template, /footer, /parsemode - Format the captions of this group\'s posts\n' +
+      '/timezone - Show or set the timezone used for schedules\n' +
+      '/quiet 23:00-07:00|off - Set hours when schedules don\'t post\n' +
+      '/dailylimit number|off - Limit the scheduled posts per day\n' +
+      '/stats - Show what was posted in this group\n' +
+      '/audit [page] - Show who changed what in this group\n' +
+      '/stop [name] - Stop one or all schedules\n' +
+      '/chats - In a private chat: manage the schedules of your groups and channels\n' +
       '/help - Show this help message'
     );
   } else {
     ctx.reply(
-      'User commands (in groups):\n' +
-      '/schedule - Schedule media sending\n' +
-      '/stop - Stop scheduled media sending\n' +
+      'User commands (in groups, changes need group admin rights):\n' +
+      '/schedule [name] - Schedule media sending (several named schedules are allowed)\n' +
+      '/schedules - List the schedules of this group\n' +
+      '/status [name] - Show a schedule\'s state, rotation, last post and next runs\n' +
+      '/editschedule [name] [timing] - Change the media kinds or timing of a schedule\n' +
+      '/cancel - Stop a schedule setup you started\n' +
+      '/pause [name] - Pause one or all schedules\n' +
+      '/resume [name] - Resume one or all schedules\n' +
+      '/deleteschedule name - Delete a schedule\n' +
+      '/album [name] size [caption] - Send 1-10 items per post as one album\n' +
+      '/tags [name] #tag -#tag - Only send media with (or without) certain tags\n' +
+      '/filter [name] under 60s - Only send media of a certain length, size or orientation\n' +
+      '/order [name] strategy - Send media randomly, in upload order, newest first, new first or weighted\n' +
+      '/postat YYYY-MM-DD HH:MM - Post the message you reply to once, at that time\n' +
+      '/deletepost id - Cancel a post set with /postat\n' +
+      '/calendar [days] - List upcoming posts\n' +
+      '/template, /footer, /parsemode - Format the captions of this group\'s posts\n' +
+      '/timezone - Show or set the timezone used for schedules\n' +
+      '/quiet 23:00-07:00|off - Set hours when schedules don\'t post\n' +
+      '/dailylimit number|off - Limit the scheduled posts per day\n' +
+      '/stats - Show what was posted in this group\n' +
+      '/audit [page] - Show who changed what in this group\n' +
+      '/stop [name] - Stop one or all schedules\n' +
+      '/chats - In a private chat: manage the schedules of your groups and channels\n' +
       '/help - Show this help message'
     );
   }
 });
 
-// Launch bot
-bot.launch();
+// Handle text messages that answer a question of the bot: the name or timing
+// of a schedule wizard, or a new caption or tags from the media browser.
+// Everything else, commands included, is passed on.
+bot.on('text', (ctx, next) => {
+  if (ctx.message.text.startsWith('/')) {
+    return next();
+  }
+
+  if (ctx.session && ctx.session.pendingMediaEdit) {
+    return handleMediaEditReply(ctx);
+  }
+
+  const wizard = getScheduleWizard(ctx);
+  if (wizard && wizard.step === 'timing') {
+    return handleTimingReply(ctx, wizard);
+  }
+  if (wizard && wizard.step === 'name') {
+    return handleScheduleNameReply(ctx, wizard);
+  }
+
+  return next();
+});
+
+// Admin REST API. Every change goes through the same helpers as the bot
+// commands, so it is saved and takes effect right away.
+
+// Largest request body the API accepts
+const API_MAX_BODY_BYTES = 1024 * 1024;
+const API_MAX_PER_PAGE = 200;
+
+// Error with an HTTP status, thrown by API handlers
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Check the API key from the Authorization (Bearer) or X-API-Key header
+function isApiKeyValid(req) {
+  const header = req.headers.authorization || '';
+  const key = header.startsWith('Bearer ') ? header.slice(7) : req.headers['x-api-key'];
+  if (!key) {
+    return false;
+  }
+  // Compare hashes so the comparison takes the same time for any key
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(key), hash(API_KEY));
+}
+
+// Read and parse a JSON request body
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > API_MAX_BODY_BYTES) {
+        reject(new ApiError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new ApiError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// A media item as the API returns it. 'number' is its number in /list<kind>.
+function mediaToJson(kind, index) {
+  const media = mediaStores[kind][index];
+  return {
+    mediaId: media.mediaId,
+    kind: kind,
+    number: index + 1,
+    fileId: media.id,
+    caption: media.caption || '',
+    tags: getMediaTags(media),
+    meta: media.meta || {},
+    uploadedBy: media.uploadedBy || null,
+    sourceChatId: media.sourceChatId || null,
+    addedAt: media.addedAt || null
+  };
+}
+
+// A schedule as the API returns it
+function scheduleToJson(chatId, name) {
+  const data = scheduleData[chatId][name];
+  const nextRun = data.paused ? null : getNextFireTimes(data.timing, getChatTimezone(chatId), new Date(), 1)[0];
+  return Object.assign({ chatId: chatId, name: name, description: describeTiming(data.timing) }, data, {
+    nextRun: nextRun ? nextRun.toISOString() : null
+  });
+}
+
+// Find a media item by its media ID or fail with 404
+function getApiMedia(mediaId) {
+  const found = findMediaById(mediaId);
+  if (!found) {
+    throw new ApiError(404, 'No media with ID ' + mediaId);
+  }
+  return found;
+}
+
+// Find a schedule or fail with 404
+function getApiSchedule(chatId, name) {
+  if (!scheduleData[chatId] || !scheduleData[chatId][name]) {
+    throw new ApiError(404, 'No schedule "' + name + '" in chat ' + chatId);
+  }
+}
+
+// GET /api/media?kind=video&tags=funny,-nsfw&page=1&perPage=50
+function apiListMedia(query) {
+  const kinds = query.get('kind') ? [query.get('kind')] : Object.keys(MEDIA_KINDS);
+  if (!kinds.every(kind => MEDIA_KINDS[kind])) {
+    throw new ApiError(400, 'Unknown kind. Kinds: ' + Object.keys(MEDIA_KINDS).join(', '));
+  }
+
+  // Tags to include, and with a leading '-' tags to exclude
+  const tags = (query.get('tags') || '').split(',').map(tag => tag.trim().replace(/^(-?)#/, '$1').toLowerCase()).filter(Boolean);
+  const tagFilter = {
+    include: tags.filter(tag => !tag.startsWith('-')),
+    exclude: tags.filter(tag => tag.startsWith('-')).map(tag => tag.slice(1))
+  };
+
+  const items = [];
+  for (const kind of kinds) {
+    mediaStores[kind].forEach((media, index) => {
+      if (matchesTagFilter(media, tagFilter)) {
+        items.push(mediaToJson(kind, index));
+      }
+    });
+  }
+
+  const page = Math.max(parseInt(query.get('page')) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(query.get('perPage')) || 50, 1), API_MAX_PER_PAGE);
+  return {
+    items: items.slice((page - 1) * perPage, page * perPage),
+    page: page,
+    perPage: perPage,
+    total: items.length,
+    pages: Math.ceil(items.length / perPage)
+  };
+}
+
+// PATCH /api/media/:mediaId with { caption, tags }
+function apiUpdateMedia(mediaId, body) {
+  const { kind, index } = getApiMedia(mediaId);
+
+  if (body.caption !== undefined) {
+    if (typeof body.caption !== 'string') {
+      throw new ApiError(400, 'caption must be a string');
+    }
+    setMediaCaption(kind, index, body.caption, null);
+  }
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || !body.tags.every(tag => typeof tag === 'string')) {
+      throw new ApiError(400, 'tags must be a list of strings');
+    }
+    setMediaTags(kind, index, extractHashtags(body.tags.map(tag => '#' + tag.replace(/^#/, '')).join(' ')), null);
+  }
+
+  return mediaToJson(kind, index);
+}
+
+// Decode one segment of a request path; a broken percent-encoding, e.g.
+// "%E0%A4%A", is the client's fault rather than a server error
+function decodeApiPathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new ApiError(400, 'Request path is not valid: ' + segment);
+  }
+}
+
+// Route an API request to its handler. Resolves with the response data.
+//   GET    /api/media                               list media (paged)
+//   GET    /api/media/:mediaId                      one media item
+//   PATCH  /api/media/:mediaId                      change caption and/or tags
+//   DELETE /api/media/:mediaId                      delete a media item
+//   GET    /api/schedules                           list all schedules
+//   GET    /api/schedules/:chatId/:name             one schedule
+//   POST   /api/schedules/:chatId/:name/pause       pause a schedule
+//   POST   /api/schedules/:chatId/:name/resume      resume a schedule
+//   POST   /api/schedules/:chatId/:name/send        send the next post right now
+async function routeApiRequest(req, url) {
+  const [, resource, ...params] = url.pathname.split('/').filter(Boolean).map(decodeApiPathSegment);
+  const route = req.method + ' ' + resource + ' ' + params.length;
+
+  switch (route) {
+    case 'GET media 0':
+      return apiListMedia(url.searchParams);
+
+    case 'GET media 1': {
+      const { kind, index } = getApiMedia(params[0]);
+      return mediaToJson(kind, index);
+    }
+
+    case 'PATCH media 1':
+      return apiUpdateMedia(params[0], await readJsonBody(req));
+
+    case 'DELETE media 1': {
+      const { kind, index } = getApiMedia(params[0]);
+      const media = mediaToJson(kind, index);
+      deleteMedia(kind, [index], null);
+      return { deleted: media };
+    }
+
+    case 'GET schedules 0':
+      return { items: Object.keys(scheduleData).flatMap(chatId => getChatSchedules(chatId).map(([name]) => scheduleToJson(chatId, name))) };
+
+    case 'GET schedules 2':
+      getApiSchedule(params[0], params[1]);
+      return scheduleToJson(params[0], params[1]);
+
+    case 'POST schedules 3': {
+      const [chatId, name, action] = params;
+      getApiSchedule(chatId, name);
+      if (action === 'pause' || action === 'resume') {
+        setSchedulePaused(chatId, name, action === 'pause', null);
+        return scheduleToJson(chatId, name);
+      }
+      if (action === 'send') {
+        // Sent like a scheduled run: it counts towards the daily limit, and
+        // pausing, quiet hours and the daily limit apply
+        const skipReason = getSkipReason(chatId, name);
+        if (skipReason) {
+          throw new ApiError(409, 'Not sending now: ' + skipReason);
+        }
+        runScheduledJob(chatId, name);
+        return { queued: true };
+      }
+      break;
+    }
+  }
+
+  throw new ApiError(404, 'Not found');
+}
+
+// Answer an API request: check the key, route it and send the result as JSON
+async function handleApiRequest(req, res) {
+  let status = 200;
+  let result;
+
+  const url = new URL(req.url, 'http://localhost');
+  try {
+    if (url.pathname.split('/')[1] !== 'api') {
+      throw new ApiError(404, 'Not found');
+    }
+    if (!isApiKeyValid(req)) {
+      throw new ApiError(401, 'Missing or wrong API key');
+    }
+    result = await routeApiRequest(req, url);
+  } catch (error) {
+    if (!(error instanceof ApiError)) {
+      console.error('Error handling API request ' + req.method + ' ' + req.url + ':', error);
+    }
+    status = error.status || 500;
+    result = { error: error.status ? error.message : 'Internal error' };
+  }
 
-console.log('Bot is running...');
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(result));
+}
+
+// Set once the bot is connected to Telegram
+let botReady = false;
+
+// Health report served by /healthz and /readyz
+function getHealth() {
+  let storageStatus = 'ok';
+  try {
+    storage.check();
+  } catch (error) {
+    storageStatus = 'error: ' + error.message;
+  }
+
+  const allSchedules = Object.values(scheduleData).flatMap(chatSchedules => Object.values(chatSchedules));
+  const queue = getSendQueueStatus();
+
+  return {
+    ready: botReady && storageStatus === 'ok',
+    mode: WEBHOOK_URL ? 'webhook' : 'polling',
+    storage: { type: storage.type, status: storageStatus },
+    schedules: { total: allSchedules.length, active: allSchedules.filter(data => !data.paused).length },
+    lastSuccessfulSendAt: deliveryStats.lastPostAt,
+    sendQueue: { depth: queue.depth, oldestWaitMs: queue.oldestWaitMs },
+    uptimeSeconds: Math.round(process.uptime())
+  };
+}
+
+// Answer HTTP requests other than webhook updates. /healthz fails only when
+// storage is broken; /readyz also fails until the bot is connected to Telegram.
+function handleHttpRequest(req, res) {
+  const pathname = req.url.split('?')[0];
+
+  if (req.method !== 'GET' || (pathname !== '/healthz' && pathname !== '/readyz')) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+    return;
+  }
+
+  const health = getHealth();
+  const healthy = pathname === '/readyz' ? health.ready : health.storage.status === 'ok';
+  res.writeHead(healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(health));
+}
+
+// HTTP servers started next to the bot, closed again on shutdown
+let healthServer = null;
+let apiServer = null;
 
 // Enable graceful stop
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
\ No newline at end of file
+function shutdown(signal) {
+  bot.stop(signal);
+  if (healthServer) {
+    healthServer.close();
+  }
+  if (apiServer) {
+    apiServer.close();
+  }
+  storage.close();
+}
+
+// Start the bot when this file is run. The tests in test/ require it without
+// starting it.
+if (require.main === module) {
+  // Pick up changes made to the local media folder while the bot was offline
+  if (fs.existsSync(localMediaDir) || localMedia.length > 0) {
+    const result = scanLocalMedia();
+    console.log('Local media folder ' + localMediaDir + ': ' + describeLocalMedia() +
+      ' (' + result.added + ' new, ' + result.changed + ' changed, ' + result.removed + ' removed)');
+  }
+
+  // Delete expired items from the trash now and then every hour
+  purgeExpiredTrash();
+  schedule.scheduleJob('0 * * * *', purgeExpiredTrash);
+
+  // Launch bot: long polling by default, a webhook if WEBHOOK_URL is set. In
+  // webhook mode the webhook server also serves the health endpoints.
+  if (WEBHOOK_URL) {
+    bot.launch({
+      webhook: {
+        domain: WEBHOOK_URL,
+        path: WEBHOOK_PATH,
+        port: WEBHOOK_PORT,
+        secretToken: WEBHOOK_SECRET,
+        cb: handleHttpRequest
+      }
+    }).then(() => {
+      botReady = true;
+      console.log('Receiving updates through the webhook on port ' + WEBHOOK_PORT + ', path ' + WEBHOOK_PATH);
+    }).catch((error) => {
+      console.error('Error setting up the webhook:', error);
+      process.exit(1);
+    });
+  } else {
+    bot.launch(() => {
+      botReady = true;
+    });
+
+    if (HEALTH_PORT) {
+      healthServer = http.createServer(handleHttpRequest).listen(HEALTH_PORT, () => {
+        console.log('Health endpoints listening on port ' + HEALTH_PORT);
+      });
+    }
+  }
+
+  if (API_KEY) {
+    apiServer = http.createServer(handleApiRequest).listen(API_PORT, API_HOST, () => {
+      console.log('Admin API listening on ' + API_HOST + ':' + API_PORT);
+    });
+  }
+
+  console.log('Bot is running...');
+
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+// Used by the tests in test/
+module.exports = {
+  buildExportArchive,
+  validateExportArchive,
+  importArchive,
+  logDelivery,
+  readDeliveryLog,
+  buildChatStats,
+  buildGlobalStats,
+  getScheduleMedia,
+  getNextUnsentMediaBatch,
+  sendScheduledMedia,
+  runScheduledJob,
+  getSkipReason,
+  isQuietTime,
+  renderCaption,
+  getPostsToday,
+  deleteMedia,
+  findDuplicateMedia,
+  mergeDuplicateMedia,
+  restoreFromTrash,
+  purgeExpiredTrash,
+  readAuditLogPage
+};
\ No newline at end of file
@@ -0,0 +1,134 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// The bot keeps its state as named JSON documents: one per media kind
+// ('videos', 'images', ...) plus 'schedules', 'rotation', 'chats', 'roles', 'posts', 'sources',
+// 'local', 'trash' and 'deliverystats'.
+// Each document is read once at startup and written in full on every save,
+// so a storage backend only has to read and write whole documents, plus a
+// check() used by the health endpoints.
+
+// Path of the JSON file a document is kept in
+function jsonFilePath(dataDir, name) {
+  return path.join(dataDir, name + '.json');
+}
+
+// Write a JSON file without ever leaving a half-written file behind: the data
+// goes to a temporary file first, is flushed to disk and then renamed over the
+// old file, which replaces it in one step.
+function writeJsonFileAtomic(file, value) {
+  const tempFile = file + '.tmp';
+  const fd = fs.openSync(tempFile, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(value));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempFile, file);
+}
+
+// Storage in JSON files in the data directory, one file per document
+function createJsonStorage(dataDir) {
+  fs.ensureDirSync(dataDir);
+
+  return {
+    type: 'json',
+
+    // Read a document, creating its file with the default value if it doesn't exist yet
+    read(name, defaultValue) {
+      const file = jsonFilePath(dataDir, name);
+      if (!fs.existsSync(file)) {
+        writeJsonFileAtomic(file, defaultValue);
+        return defaultValue;
+      }
+      return fs.readJsonSync(file);
+    },
+
+    write(name, value) {
+      writeJsonFileAtomic(jsonFilePath(dataDir, name), value);
+    },
+
+    // Throws if the data directory can't be written to
+    check() {
+      fs.accessSync(dataDir, fs.constants.R_OK | fs.constants.W_OK);
+    },
+
+    close() {}
+  };
+}
+
+// Storage in a SQLite database with one row per document. Every write is a
+// single statement, which SQLite applies completely or not at all.
+// better-sqlite3 is an optional dependency, so it is only loaded here.
+function createSqliteStorage(dataDir, dbFile) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite storage needs the better-sqlite3 package. Install it with: npm install better-sqlite3');
+  }
+
+  fs.ensureDirSync(dataDir);
+  const db = new Database(dbFile || path.join(dataDir, 'botx.db'));
+  db.pragma('journal_mode = WAL');
+  db.exec('CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at TEXT NOT NULL)');
+
+  const selectDocument = db.prepare('SELECT value FROM documents WHERE name = ?');
+  const upsertDocument = db.prepare(
+    'INSERT INTO documents (name, value, updated_at) VALUES (?, ?, ?) ' +
+    'ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at'
+  );
+
+  function write(name, value) {
+    upsertDocument.run(name, JSON.stringify(value), new Date().toISOString());
+  }
+
+  return {
+    type: 'sqlite',
+
+    // Read a document. A document that isn't in the database yet is imported
+    // once from its JSON file, if there is one, so switching from JSON files
+    // to SQLite keeps all data. The JSON file itself is left untouched.
+    read(name, defaultValue) {
+      const row = selectDocument.get(name);
+      if (row) {
+        return JSON.parse(row.value);
+      }
+
+      const file = jsonFilePath(dataDir, name);
+      let value = defaultValue;
+      if (fs.existsSync(file)) {
+        value = fs.readJsonSync(file);
+        console.log('Imported ' + file + ' into the SQLite database');
+      }
+      write(name, value);
+      return value;
+    },
+
+    write: write,
+
+    // Throws if the database can't be queried
+    check() {
+      db.prepare('SELECT 1').get();
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+// Create the storage backend picked in the config: 'json' (the default) or 'sqlite'
+function createStorage(options) {
+  switch (options.type || 'json') {
+    case 'json':
+      return createJsonStorage(options.dataDir);
+    case 'sqlite':
+      return createSqliteStorage(options.dataDir, options.sqliteFile);
+    default:
+      throw new Error('Unknown storage type "' + options.type + '". Use "json" or "sqlite".');
+  }
+}
+
+module.exports = { createStorage, createJsonStorage, createSqliteStorage };
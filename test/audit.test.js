@@ -0,0 +1,104 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const schedule = require('node-schedule');
+const { loadBot, readDocument } = require('./helpers');
+
+// Enough entries for the log to be read in several pieces, with multi-byte
+// characters that end up across the piece boundaries and one damaged line
+const lines = [];
+for (let i = 0; i < 3000; i++) {
+  lines.push(JSON.stringify({ at: '2026-01-01T00:00:00.000Z', userId: '1', user: '@admin', chatId: i % 2 ? '-100' : '-200', action: 'change ' + i + ' ✓ äöü' }));
+  if (i === 1500) {
+    lines.push('{"at": "2026-01');
+  }
+}
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+const { bot, dataDir } = loadBot({
+  videos: [
+    { id: 'file-1', type: 'video', mediaId: 'v0000001', uniqueId: 'same-file' },
+    { id: 'file-2', type: 'video', mediaId: 'v0000002' },
+    { id: 'file-3', type: 'video', mediaId: 'v0000003', uniqueId: 'same-file', tags: ['cats'] },
+    { id: 'file-4', type: 'video', mediaId: 'v0000004' }
+  ],
+  trash: [
+    { kind: 'video', media: { id: 'file-9', type: 'video', mediaId: 'v0000009' }, position: 0, deletedAt: daysAgo(40), deletedBy: '@admin' }
+  ]
+}, {
+  'audit.log': lines.join('\n') + '\n'
+});
+
+after(async () => {
+  await schedule.gracefulShutdown();
+  fs.removeSync(dataDir);
+});
+
+const everything = () => true;
+
+test('the first page holds the latest changes', () => {
+  const { entries, hasMore } = bot.readAuditLogPage(everything, 0, 20);
+  assert.strictEqual(entries.length, 20);
+  assert.strictEqual(entries[0].action, 'change 2999 ✓ äöü');
+  assert.strictEqual(entries[19].action, 'change 2980 ✓ äöü');
+  assert.strictEqual(hasMore, true);
+});
+
+test('later pages go back through the whole log and skip damaged lines', () => {
+  const seen = [];
+  for (let skip = 0; ; skip += 20) {
+    const { entries, hasMore } = bot.readAuditLogPage(everything, skip, 20);
+    seen.push(...entries.map(entry => entry.action));
+    if (!hasMore) {
+      break;
+    }
+  }
+  assert.strictEqual(seen.length, 3000);
+  assert.deepStrictEqual(seen, lines.filter(line => line.endsWith('}')).map(line => JSON.parse(line).action).reverse());
+});
+
+test('pages only count the entries that pass the filter', () => {
+  const { entries, hasMore } = bot.readAuditLogPage(entry => entry.chatId === '-100', 1480, 20);
+  assert.deepStrictEqual(entries.map(entry => entry.action.split(' ')[1]), ['39', '37', '35', '33', '31', '29', '27', '25', '23', '21', '19', '17', '15', '13', '11', '9', '7', '5', '3', '1']);
+  assert.strictEqual(hasMore, false);
+  assert.deepStrictEqual(bot.readAuditLogPage(entry => entry.chatId === '-100', 1500, 20), { entries: [], hasMore: false });
+});
+
+const videoIds = () => readDocument(dataDir, 'videos').map(media => media.mediaId);
+
+test('items older than the retention time leave the trash for good', () => {
+  assert.strictEqual(bot.purgeExpiredTrash(), 1);
+  assert.deepStrictEqual(readDocument(dataDir, 'trash'), []);
+});
+
+test('deleted items go to the trash and the deletion is in the audit log', () => {
+  const ctx = { from: { id: 5, username: 'alice' } };
+  bot.deleteMedia('video', [3, 1], ctx);
+  assert.deepStrictEqual(videoIds(), ['v0000001', 'v0000003']);
+  assert.deepStrictEqual(readDocument(dataDir, 'trash').map(entry => [entry.media.mediaId, entry.position, entry.deletedBy]),
+    [['v0000002', 1, '@alice'], ['v0000004', 3, '@alice']]);
+
+  const { entries } = bot.readAuditLogPage(everything, 0, 1);
+  assert.deepStrictEqual([entries[0].userId, entries[0].user, entries[0].action], ['5', '@alice', 'deleted 2 videos (v0000002, v0000004)']);
+});
+
+test('restored items get their old positions back', () => {
+  const { restored, duplicates } = bot.restoreFromTrash([0, 1]);
+  assert.strictEqual(restored.length, 2);
+  assert.deepStrictEqual(duplicates, []);
+  assert.deepStrictEqual(videoIds(), ['v0000001', 'v0000002', 'v0000003', 'v0000004']);
+  assert.deepStrictEqual(readDocument(dataDir, 'trash'), []);
+});
+
+test('merged duplicates go to the trash and the merge names them in the audit log', () => {
+  const ctx = { from: { id: 5, username: 'alice' } };
+  const [group] = bot.findDuplicateMedia();
+  bot.mergeDuplicateMedia(group.kind, group.items, ctx);
+  assert.deepStrictEqual(videoIds(), ['v0000001', 'v0000002', 'v0000004']);
+  assert.deepStrictEqual(readDocument(dataDir, 'videos')[0].tags, ['cats']);
+  assert.deepStrictEqual(readDocument(dataDir, 'trash').map(entry => [entry.media.mediaId, entry.position, entry.deletedBy]),
+    [['v0000003', 2, '@alice']]);
+
+  const { entries } = bot.readAuditLogPage(everything, 0, 1);
+  assert.strictEqual(entries[0].action, 'merged video (v0000003) into v0000001, the copies are in the trash');
+});
@@ -0,0 +1,48 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const schedule = require('node-schedule');
+const { loadBot } = require('./helpers');
+
+const { bot, dataDir } = loadBot({
+  chats: {
+    '-100': { parseMode: 'HTML', captionTemplate: '<b>{chatTitle}</b>\n{caption}', captionFooter: '<i>{tags}</i>' },
+    '-200': { parseMode: 'MarkdownV2', captionTemplate: '*{caption}*' },
+    '-300': { captionTemplate: '{caption}' }
+  }
+});
+
+after(async () => {
+  await schedule.gracefulShutdown();
+  fs.removeSync(dataDir);
+});
+
+test('a long caption is shortened before it is escaped for HTML', () => {
+  const caption = bot.renderCaption('-100', { caption: 'Tom & Jerry <3 '.repeat(100), tags: '#cats', chatTitle: 'Cats' });
+  assert.ok(caption.length <= 1024);
+  assert.ok(caption.startsWith('<b>Cats</b>\n'));
+  assert.ok(caption.endsWith('…\n\n<i>#cats</i>'));
+  // Every & starts a whole entity
+  assert.strictEqual(caption.replace(/&(amp|lt|gt);/g, '').includes('&'), false);
+});
+
+test('a long caption is shortened before it is escaped for MarkdownV2', () => {
+  const caption = bot.renderCaption('-200', { caption: 'a.b_c!'.repeat(300) });
+  assert.ok(caption.length <= 1024);
+  assert.ok(caption.endsWith('…*'));
+  // No backslash is left without the character it escapes
+  assert.strictEqual(caption.replace(/\\[_*[\]()~`>#+\-=|{}.!\\]/g, '').includes('\\'), false);
+});
+
+test('other long values like the tags are shortened the same way', () => {
+  const caption = bot.renderCaption('-100', { caption: 'short', tags: '#a&b '.repeat(300), chatTitle: 'Cats' });
+  assert.ok(caption.length <= 1024);
+  assert.ok(caption.startsWith('<b>Cats</b>\nshort\n\n<i>#a&amp;b '));
+  assert.ok(caption.endsWith('…</i>'));
+  assert.strictEqual(caption.replace(/&(amp|lt|gt);/g, '').includes('&'), false);
+});
+
+test('a caption that fits is left alone', () => {
+  assert.strictEqual(bot.renderCaption('-300', { caption: 'Hello' }), 'Hello');
+  assert.strictEqual(bot.renderCaption('-300', { caption: 'x'.repeat(2000) }), 'x'.repeat(1023) + '…');
+});
@@ -0,0 +1,46 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { Telegram } = require('telegraf');
+
+// Load the bot without starting it, with its data in a new temporary folder.
+// 'documents' are stored there first, by name, e.g. { schedules: {...} },
+// and 'files' by file name, e.g. { 'deliveries.log': '...' }.
+// Nothing is sent to Telegram: every Bot API call is recorded in 'apiCalls'
+// and answered with a made-up message. Each test file runs in its own
+// process, so it can load the bot once.
+function loadBot(documents = {}, files = {}) {
+  const apiCalls = [];
+  let messageId = 1;
+  Telegram.prototype.callApi = async function (method, payload) {
+    apiCalls.push({ method: method, payload: payload });
+    const message = () => ({ message_id: messageId++, date: Math.floor(Date.now() / 1000), chat: { id: payload.chat_id } });
+    return method === 'sendMediaGroup' ? payload.media.map(message) : message();
+  };
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'botx-test-'));
+  for (const name in documents) {
+    fs.writeJsonSync(path.join(dataDir, name + '.json'), documents[name]);
+  }
+  for (const name in files) {
+    fs.writeFileSync(path.join(dataDir, name), files[name]);
+  }
+
+  Object.assign(process.env, {
+    BOT_TOKEN: '123456:test',
+    ADMIN_ID: '1',
+    DATA_DIR: dataDir,
+    STORAGE: 'json',
+    TIMEZONE: 'UTC'
+  });
+  delete process.env.LOCAL_MEDIA_DIR;
+
+  return { bot: require('../index.js'), dataDir: dataDir, apiCalls: apiCalls };
+}
+
+// Read a document the bot stored
+function readDocument(dataDir, name) {
+  return fs.readJsonSync(path.join(dataDir, name + '.json'));
+}
+
+module.exports = { loadBot, readDocument };
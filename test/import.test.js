@@ -0,0 +1,231 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const schedule = require('node-schedule');
+const { loadBot, readDocument } = require('./helpers');
+
+const { bot, dataDir } = loadBot({
+  chats: { '-900': { title: 'Old group', type: 'supergroup', joined: false } }
+});
+
+after(async () => {
+  await schedule.gracefulShutdown();
+  fs.removeSync(dataDir);
+});
+
+// A valid archive with one video and one schedule; 'changes' replace parts of it
+function makeArchive(changes = {}) {
+  return Object.assign({
+    format: 'botx-export',
+    version: 1,
+    exportedAt: '2026-01-01T00:00:00.000Z',
+    media: {
+      video: [{ id: 'file-1', mediaId: 'aaaa0001', tags: ['cats'] }]
+    },
+    schedules: {
+      '-100': {
+        main: { timing: { type: 'interval', minutes: 60, anchor: '2026-01-01T00:00:00.000Z' }, mediaTypes: ['video'] }
+      }
+    },
+    rotation: { '-100': { main: [] } },
+    chats: { '-100': { timezone: 'Europe/Berlin' } }
+  }, changes);
+}
+
+// An archive whose only schedule has the given fields
+function makeScheduleArchive(data) {
+  return makeArchive({ schedules: { '-100': { main: data } } });
+}
+
+test('accepts a valid archive', () => {
+  assert.strictEqual(bot.validateExportArchive(makeArchive()), null);
+});
+
+test('rejects files that are not archives, come from a newer version or are incomplete', () => {
+  assert.match(bot.validateExportArchive(null), /not a bot export archive/);
+  assert.match(bot.validateExportArchive({ format: 'other' }), /not a bot export archive/);
+  assert.match(bot.validateExportArchive(makeArchive({ version: 99 })), /newer version/);
+  assert.match(bot.validateExportArchive(makeArchive({ media: undefined })), /incomplete/);
+  assert.match(bot.validateExportArchive(makeArchive({ schedules: undefined })), /incomplete/);
+});
+
+test('rejects null media and schedules', () => {
+  assert.match(bot.validateExportArchive(makeArchive({ media: null })), /incomplete/);
+  assert.match(bot.validateExportArchive(makeArchive({ schedules: null })), /incomplete/);
+  assert.match(bot.validateExportArchive(makeArchive({ media: [] })), /incomplete/);
+});
+
+test('rejects broken media items', () => {
+  assert.match(bot.validateExportArchive(makeArchive({ media: { video: null } })), /not a list/);
+  assert.match(bot.validateExportArchive(makeArchive({ media: { movie: [] } })), /not a list/);
+  assert.match(bot.validateExportArchive(makeArchive({ media: { video: [null] } })), /video 1 is broken, it has no file ID/);
+  assert.match(bot.validateExportArchive(makeArchive({ media: { video: [{ id: 'file-1', tags: 'cats' }] } })), /tags/);
+});
+
+test('rejects schedules without a usable timing', () => {
+  const cases = [
+    [null, /it is not a schedule/],
+    [{ mediaTypes: ['video'] }, /it has no timing/],
+    [{ timing: null, mediaTypes: ['video'] }, /it has no timing/],
+    [{ timing: { type: 'weekly' }, mediaTypes: ['video'] }, /timing type is unknown/],
+    [{ timing: { type: 'interval', minutes: 0 }, mediaTypes: ['video'] }, /positive number of minutes/],
+    [{ timing: { type: 'interval', minutes: '60' }, mediaTypes: ['video'] }, /positive number of minutes/],
+    [{ timing: { type: 'daily', times: ['25:00'] }, mediaTypes: ['video'] }, /daily times/],
+    [{ timing: { type: 'daily', times: [] }, mediaTypes: ['video'] }, /daily times/],
+    [{ timing: { type: 'cron', expression: 'not a cron' }, mediaTypes: ['video'] }, /cron expression "not a cron" is invalid/],
+    [{ timing: { type: 'cron' }, mediaTypes: ['video'] }, /no cron expression/],
+    [{ timing: { type: 'interval', minutes: 60, window: { start: '09:00' } }, mediaTypes: ['video'] }, /time window/]
+  ];
+  for (const [data, expected] of cases) {
+    assert.match(bot.validateExportArchive(makeScheduleArchive(data)), expected, JSON.stringify(data));
+  }
+});
+
+test('rejects schedules with invalid settings', () => {
+  const timing = { type: 'daily', times: ['09:00'] };
+  assert.match(bot.validateExportArchive(makeScheduleArchive({ timing: timing })), /media kinds/);
+  assert.match(bot.validateExportArchive(makeScheduleArchive({ timing: timing, mediaTypes: ['movie'] })), /media kinds/);
+  assert.match(bot.validateExportArchive(makeScheduleArchive({ timing: timing, mediaTypes: ['video'], batchSize: 50 })), /batch size/);
+  assert.match(bot.validateExportArchive(makeScheduleArchive({ timing: timing, mediaTypes: ['video'], order: 'backwards' })), /order/);
+  assert.match(bot.validateExportArchive(makeScheduleArchive({ timing: timing, mediaTypes: ['video'], tagFilter: { include: 'cats' } })), /tag filter/);
+  assert.match(bot.validateExportArchive(makeArchive({ schedules: { '-100': { 'Bad Name': { timing: timing, mediaTypes: ['video'] } } } })), /name is invalid/);
+  assert.match(bot.validateExportArchive(makeArchive({ schedules: { abc: {} } })), /schedules of chat abc/);
+});
+
+test('rejects broken rotation state and chat settings', () => {
+  assert.match(bot.validateExportArchive(makeArchive({ rotation: { '-100': { main: null } } })), /rotation state/);
+  assert.match(bot.validateExportArchive(makeArchive({ chats: { '-100': null } })), /settings of chat -100/);
+  assert.match(bot.validateExportArchive(makeArchive({ chats: { '-100': { timezone: 'Mars/Olympus' } } })), /timezone/);
+  assert.match(bot.validateExportArchive(makeArchive({ chats: { '-100': { quietHours: { start: '22:00', end: '22:00' } } } })), /quiet hours/);
+});
+
+test('a dry run reports the changes without making them', () => {
+  const summary = bot.importArchive(makeArchive(), 'merge', true);
+  assert.deepStrictEqual(summary.media.video, { added: 1, duplicates: 0 });
+  assert.strictEqual(summary.schedulesAdded, 1);
+  assert.deepStrictEqual(bot.buildExportArchive().media.video, []);
+});
+
+test('an import adds the media, schedules and chat settings of the archive', () => {
+  const archive = makeArchive({
+    schedules: {
+      '-100': {
+        main: { timing: { type: 'interval', minutes: 60, anchor: '2026-01-01T00:00:00.000Z' }, mediaTypes: ['video'] },
+        evening: { timing: { type: 'cron', expression: '0 20 * * *' }, mediaTypes: ['video'] }
+      }
+    }
+  });
+  assert.strictEqual(bot.validateExportArchive(archive), null);
+
+  const summary = bot.importArchive(archive, 'merge', false);
+  assert.strictEqual(summary.schedulesAdded, 2);
+  assert.strictEqual(summary.chatsAdded, 1);
+  assert.deepStrictEqual(readDocument(dataDir, 'videos').map(media => media.mediaId), ['aaaa0001']);
+  assert.deepStrictEqual(Object.keys(readDocument(dataDir, 'schedules')['-100']).sort(), ['evening', 'main']);
+  assert.strictEqual(readDocument(dataDir, 'chats')['-100'].timezone, 'Europe/Berlin');
+
+  // Importing the same archive again adds nothing
+  const again = bot.importArchive(archive, 'merge', false);
+  assert.deepStrictEqual(again.media.video, { added: 0, duplicates: 1 });
+  assert.strictEqual(again.schedulesSkipped, 2);
+});
+
+test('version 2 archives carry posts, source channels, local files, the trash and roles', () => {
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  const archive = makeArchive({
+    version: 2,
+    posts: { '-100': { a1: { at: tomorrow, type: 'text', text: 'Hello' }, a2: { at: '2020-01-01T00:00:00.000Z', type: 'text', text: 'Too late' } } },
+    sources: { '-300': { title: 'Cats channel', tags: ['cats'] } },
+    local: [{ localPath: 'cats/a.jpg', type: 'image', id: null, mediaId: 'aaaa0001' }],
+    trash: [{ kind: 'video', media: { id: 'file-9', mediaId: 'bbbb0001' }, position: 0, deletedAt: '2026-01-01T00:00:00.000Z' }],
+    roles: { owners: ['5'], editors: ['6'] }
+  });
+  assert.strictEqual(bot.validateExportArchive(archive), null);
+
+  const summary = bot.importArchive(archive, 'merge', false);
+  assert.strictEqual(summary.postsAdded, 1);
+  assert.strictEqual(summary.postsExpired, 1);
+  assert.strictEqual(summary.sourcesAdded, 1);
+  assert.strictEqual(summary.localAdded, 1);
+  assert.strictEqual(summary.trashAdded, 1);
+  assert.strictEqual(summary.rolesAdded, 2);
+
+  const exported = bot.buildExportArchive();
+  assert.strictEqual(exported.version, 2);
+  assert.deepStrictEqual(Object.keys(exported.posts['-100']), ['a1']);
+  assert.deepStrictEqual(exported.sources['-300'].tags, ['cats']);
+  assert.strictEqual(exported.local[0].localPath, 'cats/a.jpg');
+  // The archive's media ID is already used by the imported video
+  assert.notStrictEqual(exported.local[0].mediaId, 'aaaa0001');
+  assert.strictEqual(exported.trash[0].media.id, 'file-9');
+  assert.deepStrictEqual(exported.roles, { owners: ['5'], editors: ['6'] });
+  assert.strictEqual(bot.validateExportArchive(JSON.parse(JSON.stringify(exported))), null);
+});
+
+test('rejects broken parts of version 2 archives', () => {
+  assert.match(bot.validateExportArchive(makeArchive({ version: 2, posts: { '-100': { a1: { at: 'soon', type: 'text', text: '' } } } })), /post a1 of chat -100/);
+  assert.match(bot.validateExportArchive(makeArchive({ version: 2, posts: { '-100': { a1: { at: '2030-01-01T00:00:00.000Z', type: 'video', text: '' } } } })), /content is missing/);
+  assert.match(bot.validateExportArchive(makeArchive({ version: 2, sources: { '-300': { tags: null } } })), /source channels/);
+  assert.match(bot.validateExportArchive(makeArchive({ version: 2, local: [{ type: 'image' }] })), /local file/);
+  assert.match(bot.validateExportArchive(makeArchive({ version: 2, trash: [{ kind: 'video', position: 0, media: {} }] })), /item 1 in the trash/);
+  assert.match(bot.validateExportArchive(makeArchive({ version: 2, roles: { owners: ['@alice'], editors: [] } })), /bot roles/);
+});
+
+test('a replace import keeps whether the bot is in a chat and leaves no old jobs armed', () => {
+  const archive = makeArchive({
+    version: 2,
+    media: {},
+    schedules: {},
+    rotation: {},
+    chats: { '-900': { timezone: 'Europe/Berlin' } },
+    posts: {}
+  });
+  bot.importArchive(archive, 'replace', false);
+
+  const exported = bot.buildExportArchive();
+  assert.deepStrictEqual(exported.chats, { '-900': { timezone: 'Europe/Berlin', title: 'Old group', type: 'supergroup', joined: false } });
+  assert.deepStrictEqual(exported.posts, {});
+  assert.deepStrictEqual(exported.schedules, {});
+  assert.deepStrictEqual(Object.keys(schedule.scheduledJobs), []);
+  // Parts the archive doesn't have are kept
+  assert.strictEqual(exported.local.length, 1);
+});
+
+test('a replace import drops the media and schedules that are not in the archive', () => {
+  const archive = makeArchive({
+    media: { video: [{ id: 'file-2' }] },
+    schedules: {},
+    rotation: {},
+    chats: {}
+  });
+
+  bot.importArchive(archive, 'replace', false);
+  const exported = bot.buildExportArchive();
+  assert.deepStrictEqual(exported.media.video.map(media => media.id), ['file-2']);
+  assert.ok(exported.media.video[0].mediaId);
+  assert.deepStrictEqual(exported.schedules, {});
+  // Only whether the bot is in a chat is kept
+  assert.deepStrictEqual(exported.chats, { '-900': { title: 'Old group', type: 'supergroup', joined: false } });
+  assert.deepStrictEqual(Object.keys(schedule.scheduledJobs), []);
+});
+
+test('a replace import gives new IDs to media whose IDs the kept local files and trash use', () => {
+  const before = bot.buildExportArchive();
+  const localId = before.local[0].mediaId;
+  const trashId = before.trash[0].media.mediaId;
+  const archive = makeArchive({
+    media: { video: [{ id: 'file-3', mediaId: localId }, { id: 'file-4', mediaId: trashId }, { id: 'file-5', mediaId: 'cccc0001' }] },
+    schedules: {},
+    rotation: {},
+    chats: {}
+  });
+
+  bot.importArchive(archive, 'replace', false);
+  const exported = bot.buildExportArchive();
+  const videoIds = exported.media.video.map(media => media.mediaId);
+  assert.strictEqual(exported.local[0].mediaId, localId);
+  assert.strictEqual(exported.trash[0].media.mediaId, trashId);
+  assert.strictEqual(videoIds.length, 3);
+  assert.ok(!videoIds.includes(localId) && !videoIds.includes(trashId));
+  assert.strictEqual(videoIds[2], 'cccc0001');
+});
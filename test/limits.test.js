@@ -0,0 +1,99 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const schedule = require('node-schedule');
+const { Telegram } = require('telegraf');
+const { loadBot, readDocument } = require('./helpers');
+
+const timing = { type: 'interval', minutes: 60, anchor: '2026-01-01T00:00:00.000Z' };
+const videoSchedule = { main: { timing: timing, mediaTypes: ['video'] } };
+const { bot, dataDir, apiCalls } = loadBot({
+  videos: [
+    { id: 'file-1', type: 'video', mediaId: 'v0000001' },
+    { id: 'file-2', type: 'video', mediaId: 'v0000002' }
+  ],
+  schedules: {
+    '-100': videoSchedule,
+    '-200': videoSchedule,
+    '-300': { main: { timing: timing, mediaTypes: ['sticker'] } },
+    '-400': videoSchedule,
+    '-500': Object.assign({}, videoSchedule, { paused: Object.assign({}, videoSchedule.main, { paused: true, pausedReason: 'Forbidden: bot was kicked' }) })
+  },
+  chats: {
+    '-100': { dailyLimit: 1 },
+    '-200': { dailyLimit: 1 },
+    '-300': { dailyLimit: 1 },
+    '-400': { dailyLimit: 1 },
+    '-600': { quietHours: { start: '22:00', end: '07:00' }, timezone: 'Europe/Berlin' },
+    '-700': { quietHours: { start: '12:00', end: '14:00' } }
+  }
+});
+
+after(async () => {
+  await schedule.gracefulShutdown();
+  fs.removeSync(dataDir);
+});
+
+test('quiet hours can span midnight and follow the chat timezone', () => {
+  // Berlin is UTC+1 in January
+  assert.strictEqual(bot.isQuietTime('-600', new Date('2026-01-10T21:30:00Z')), true);
+  assert.strictEqual(bot.isQuietTime('-600', new Date('2026-01-10T05:59:00Z')), true);
+  assert.strictEqual(bot.isQuietTime('-600', new Date('2026-01-10T06:00:00Z')), false);
+  assert.strictEqual(bot.isQuietTime('-600', new Date('2026-01-10T20:59:00Z')), false);
+});
+
+test('quiet hours within one day', () => {
+  assert.strictEqual(bot.isQuietTime('-700', new Date('2026-01-10T12:30:00Z')), true);
+  assert.strictEqual(bot.isQuietTime('-700', new Date('2026-01-10T11:59:00Z')), false);
+  assert.strictEqual(bot.isQuietTime('-700', new Date('2026-01-10T14:00:00Z')), false);
+  assert.strictEqual(bot.isQuietTime('-100', new Date('2026-01-10T12:30:00Z')), false);
+});
+
+test('a delivered post counts towards the daily limit, and the limit stops the next one', async () => {
+  apiCalls.length = 0;
+  assert.strictEqual(await bot.runScheduledJob('-100', 'main'), true);
+  assert.strictEqual(bot.getPostsToday('-100'), 1);
+  assert.strictEqual(readDocument(dataDir, 'chats')['-100'].postsToday.count, 1);
+  assert.match(bot.getSkipReason('-100', 'main'), /daily limit of 1 posts reached/);
+
+  assert.strictEqual(await bot.runScheduledJob('-100', 'main'), false);
+  assert.strictEqual(apiCalls.filter(call => call.method === 'sendVideo').length, 1);
+});
+
+test('a failed send does not use up the daily limit', async () => {
+  const callApi = Telegram.prototype.callApi;
+  Telegram.prototype.callApi = async () => {
+    throw Object.assign(new Error('Bad Request: wrong file identifier'), { response: { error_code: 400, description: 'Bad Request: wrong file identifier' } });
+  };
+  try {
+    assert.strictEqual(await bot.runScheduledJob('-200', 'main'), false);
+  } finally {
+    Telegram.prototype.callApi = callApi;
+  }
+  assert.strictEqual(bot.getPostsToday('-200'), 0);
+  assert.strictEqual(bot.getSkipReason('-200', 'main'), null);
+});
+
+test('a schedule with nothing to send does not use up the daily limit', async () => {
+  assert.strictEqual(await bot.runScheduledJob('-300', 'main'), false);
+  assert.strictEqual(bot.getPostsToday('-300'), 0);
+});
+
+test('schedules firing at the same time do not go over the daily limit', async () => {
+  apiCalls.length = 0;
+  const results = await Promise.all([bot.runScheduledJob('-400', 'main'), bot.runScheduledJob('-400', 'main')]);
+  assert.deepStrictEqual(results, [true, false]);
+  assert.strictEqual(bot.getPostsToday('-400'), 1);
+  assert.strictEqual(apiCalls.filter(call => call.method === 'sendVideo').length, 1);
+});
+
+test('paused schedules are skipped', async () => {
+  assert.strictEqual(bot.getSkipReason('-500', 'paused'), 'schedule is paused');
+  assert.strictEqual(await bot.runScheduledJob('-500', 'paused'), false);
+});
+
+test('a schedule paused for a lost chat keeps the reason when its job is recreated on start', () => {
+  const data = readDocument(dataDir, 'schedules')['-500'].paused;
+  assert.strictEqual(data.paused, true);
+  assert.strictEqual(data.pausedReason, 'Forbidden: bot was kicked');
+});
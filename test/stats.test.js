@@ -0,0 +1,59 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const schedule = require('node-schedule');
+const { loadBot, readDocument } = require('./helpers');
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+const logEntries = [
+  { at: daysAgo(10), chatId: '-100', schedule: 'main', mediaId: 'v0000001', type: 'video', ok: true },
+  { at: daysAgo(2), chatId: '-100', schedule: 'main', mediaId: 'v0000002', type: 'video', ok: true },
+  { at: daysAgo(1), chatId: '-100', schedule: 'main', mediaId: 'v0000002', type: 'video', ok: false, errorCode: 400, error: 'Bad Request: wrong file identifier' }
+];
+const { bot, dataDir } = loadBot({}, {
+  // The first line was cut off by a crash
+  'deliveries.log': '{"at":"20\n' + logEntries.map(entry => JSON.stringify(entry)).join('\n') + '\n'
+});
+
+after(async () => {
+  await schedule.gracefulShutdown();
+  fs.removeSync(dataDir);
+});
+
+test('the delivery log skips damaged lines', () => {
+  assert.deepStrictEqual(bot.readDeliveryLog(), logEntries);
+});
+
+test('the delivery counts are built from the log once and stored', () => {
+  const stats = readDocument(dataDir, 'deliverystats');
+  assert.strictEqual(stats.total, 3);
+  assert.strictEqual(stats.posted, 2);
+  assert.strictEqual(stats.chats['-100'].schedules.main.posted, 2);
+
+  const message = bot.buildChatStats('-100');
+  assert.match(message, /Posts: 2 total, 1 in the last 7 days/);
+  assert.match(message, /Failures: 1 failed \(33\.3%\)/);
+  assert.match(message, /- main: 2/);
+  assert.match(bot.buildGlobalStats(), /1x 400 Bad Request: wrong file identifier/);
+  assert.strictEqual(bot.buildChatStats('-200'), 'Nothing has been sent to this group yet.');
+});
+
+test('every send attempt is appended to the log', () => {
+  bot.logDelivery('-100', 'evening', { mediaId: 'v0000003', type: 'video' }, null);
+  bot.logDelivery('-100', 'evening', { mediaId: 'v0000003', type: 'video' }, { response: { error_code: 403, description: 'Forbidden: bot was kicked' } });
+
+  const entries = bot.readDeliveryLog().slice(-2);
+  assert.deepStrictEqual(entries.map(entry => [entry.schedule, entry.ok, entry.errorCode || null]), [['evening', true, null], ['evening', false, 403]]);
+});
+
+test('new deliveries update the counts without reading the log again', () => {
+  fs.removeSync(path.join(dataDir, 'deliveries.log'));
+  bot.logDelivery('-100', 'evening', { mediaId: 'v0000004', type: 'video' }, null);
+
+  const message = bot.buildChatStats('-100');
+  assert.match(message, /Posts: 4 total, 3 in the last 7 days/);
+  assert.match(message, /- evening: 2/);
+  assert.match(bot.buildGlobalStats(), /Send attempts: 6, 4 posted/);
+  assert.strictEqual(readDocument(dataDir, 'deliverystats').posted, 4);
+});
@@ -0,0 +1,72 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const schedule = require('node-schedule');
+const { loadBot } = require('./helpers');
+
+const timing = { type: 'interval', minutes: 60, anchor: '2026-01-01T00:00:00.000Z' };
+const { bot, dataDir, apiCalls } = loadBot({
+  videos: [
+    { id: 'file-1', type: 'video', mediaId: 'v0000001', weight: 0 },
+    { id: 'file-2', type: 'video', mediaId: 'v0000002', weight: 1 },
+    { id: 'file-3', type: 'video', mediaId: 'v0000003', weight: 3 }
+  ],
+  images: [
+    { id: 'file-4', type: 'image', mediaId: 'i0000001', tags: ['old'], addedAt: '2026-01-01T00:00:00.000Z' },
+    { id: 'file-5', type: 'image', mediaId: 'i0000002', addedAt: '2026-01-03T00:00:00.000Z' },
+    { id: 'file-6', type: 'image', mediaId: 'i0000003', addedAt: '2026-01-02T00:00:00.000Z' }
+  ],
+  audios: [
+    { id: 'file-7', type: 'audio', mediaId: 'a0000001', weight: 0 },
+    { id: 'file-8', type: 'audio', mediaId: 'a0000002', tags: ['old'] }
+  ],
+  schedules: {
+    '-100': { main: { timing: timing, mediaTypes: ['video'], order: 'weighted' } },
+    '-200': { main: { timing: timing, mediaTypes: ['image'], order: 'weighted', tagWeights: { old: 0 } } },
+    '-300': { main: { timing: timing, mediaTypes: ['image'], order: 'sequential' } },
+    '-400': { main: { timing: timing, mediaTypes: ['image'], order: 'newest' } },
+    '-500': { main: { timing: timing, mediaTypes: ['audio'], order: 'weighted', tagWeights: { old: 0 } } }
+  }
+});
+
+after(async () => {
+  await schedule.gracefulShutdown();
+  fs.removeSync(dataDir);
+});
+
+// The media IDs a schedule picks in 'count' runs of one item
+function pickIds(chatId, count) {
+  const mediaList = bot.getScheduleMedia(chatId, 'main');
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    ids.push(bot.getNextUnsentMediaBatch(chatId, 'main', mediaList, 1)[0].mediaId);
+  }
+  return ids;
+}
+
+test('weighted order never picks items with weight 0 or the same item twice in a row', () => {
+  const ids = pickIds('-100', 50);
+  assert.ok(!ids.includes('v0000001'));
+  ids.forEach((mediaId, i) => assert.notStrictEqual(mediaId, ids[i - 1]));
+});
+
+test('weighted order skips items whose tag has weight 0', () => {
+  assert.ok(!pickIds('-200', 20).includes('i0000001'));
+});
+
+test('sequential and newest order go by upload time and start over after a cycle', () => {
+  assert.deepStrictEqual(pickIds('-300', 4), ['i0000001', 'i0000003', 'i0000002', 'i0000001']);
+  assert.deepStrictEqual(pickIds('-400', 3), ['i0000002', 'i0000003', 'i0000001']);
+});
+
+test('weighted order picks nothing when every item has weight 0', () => {
+  const mediaList = bot.getScheduleMedia('-500', 'main');
+  assert.strictEqual(mediaList.length, 2);
+  assert.deepStrictEqual(bot.getNextUnsentMediaBatch('-500', 'main', mediaList, 2), []);
+});
+
+test('a scheduled send with only weight 0 items sends nothing and does not throw', async () => {
+  apiCalls.length = 0;
+  await bot.sendScheduledMedia('-500', 'main');
+  assert.deepStrictEqual(apiCalls.map(call => call.method), []);
+});